@@ -11,7 +11,7 @@ var navigator_ua_mobile = navigator_ua.toLowerCase().includes('mobile');
 var mv3_alive_max = 15;
 var mv3_alive_counter = mv3_alive_max;
 if (ext_manifest_version === 3) {
-  self.importScripts('sites.js');
+  self.importScripts('sites.js', 'sites_schema.js');
   setInterval(function () {
     if (mv3_alive_counter < mv3_alive_max) {
       mv3_alive_counter++;
@@ -216,6 +216,69 @@ function setDefaultOptions() {
   });
 }
 
+// automation mode (puppeteer profiles): set by managed storage (policy, see managed_schema.json)
+// or by the automation.json seed next to manifest.json, both as {automation: true, storage: {...}}
+// no opt-in/options tabs & no remote update check; enables all default sites + "Enable new sites by default"
+// and the opt-ins (storage overrides these settings)
+var automation = false;
+var automation_loaded = load_automation();
+
+function load_automation() {
+  let managed = new Promise(function (resolve) {
+    try {
+      let result = ext_api.storage.managed.get(null, function (items) {
+        resolve((!ext_api.runtime.lastError && items) ? items : {});
+      });
+      if (result && result.then) // Firefox: no managed storage manifest
+        result.then(resolve, err => resolve({}));
+    } catch (err) {
+      resolve({});
+    }
+  });
+  let seed = fetch(ext_api.runtime.getURL('automation.json'))
+    .then(response => response.ok ? response.json() : {})
+    .catch(err => ({}));
+  return Promise.all([managed, seed]).then(function ([managed, seed]) {
+    automation = !!(managed.automation || seed.automation);
+    if (!automation)
+      return automation;
+    console.log('BPC: automation mode');
+    // resolve once the settings are stored, so the storage listener has them before the startup checks run
+    return new Promise(function (resolve) {
+      ext_api.storage.local.set(Object.assign(automation_storage(), seed.storage, managed.storage), function () {
+        resolve(automation);
+      });
+    });
+  });
+}
+
+function automation_storage() {
+  let sites = filterObject(defaultSites, function (val, key) {
+    return val.domain && !val.domain.match(/^(###$|#options_(disable|optin)_|#options_on_update$)/)
+  },
+    function (val, key) {
+    return [key, val.domain]
+  });
+  return {
+    sites: sites,
+    sites_default: Object.keys(defaultSites).filter(x => defaultSites[x].domain && !defaultSites[x].domain.match(/^(#options_|###$)/)),
+    ext_version_old: ext_version,
+    optIn: true,
+    customOptIn: true,
+    optInUpdate: false,
+    optInShown: true,
+    customShown: true
+  };
+}
+
+// tabs for the user & remote update checks are skipped in automation mode
+function unless_automation(func) {
+  automation_loaded.then(function () {
+    if (!automation)
+      func();
+  });
+}
+
 function check_sites_updated(sites_updated_json, optin_update = false) {
   fetch(sites_updated_json)
   .then(response => {
@@ -223,7 +286,10 @@ function check_sites_updated(sites_updated_json, optin_update = false) {
       response.json().then(json => {
         json = filterObject(json, function (val, key) {
           let domain_filter = [];
-          return (val.domain && !domain_filter.includes(val.domain) && !(val.upd_version && (val.upd_version <= ext_version)) && !(val.upd_version_min && (val.upd_version_min > ext_version)))
+          let errors = validateSiteRule(val, json);
+          if (errors.length)
+            console.log(`sites_updated: ${key} not valid: ${errors.join(', ')}`);
+          return (!errors.length && val.domain && !domain_filter.includes(val.domain) && !(val.upd_version && (val.upd_version <= ext_version)) && !(val.upd_version_min && (val.upd_version_min > ext_version)))
         });
         expandSiteRules(json, true);
         ext_api.storage.local.set({
@@ -976,7 +1042,9 @@ ext_api.storage.local.get({
           let new_groups = ['###_dk_berlingske_media', '###_se_bonnier_group'];
           let open_options = new_groups.some(group => !enabledSites.includes(group) && grouped_sites[group].some(domain => enabledSites.includes(domain) && !customSites_domains.includes(domain)));
           if (open_options)
-            ext_api.runtime.openOptionsPage();
+            unless_automation(function () {
+              ext_api.runtime.openOptionsPage();
+            });
         }
       });
     }
@@ -994,22 +1062,25 @@ ext_api.storage.local.get({
     rule_excluded_base_domains = disabledSites.filter(x => !x.match(/(^###|_)/) && !gpw_domains.includes(x));
   }
   set_rules(sites, updatedSites, customSites);
-  if (enabledSites.includes('#options_optin_update_rules') && self_hosted) {
-    sites_updated_json = sites_updated_json_online;
-    sites_custom_ext_json = ext_path + 'sites_custom.json';
-  }
-  var ext_update_check = items.ext_update_check;
-  if (!ext_update_check || (Date.now() - ext_update_check > 60 * 60 * 1000) || (ext_manifest_version === 2)) {
-    if (optin_update)
-      check_update();
-    check_sites_updated(sites_updated_json, optin_update);
-    check_sites_custom_ext();
-    ext_api.storage.local.set({
-      ext_update_check: Date.now()
-    });
-  }
-  if (!Object.keys(sites).length)
-    ext_api.runtime.openOptionsPage();
+  // automation mode keeps to the bundled rules (no online rules/update check) & opens no options page
+  automation_loaded.then(function () {
+    if (enabledSites.includes('#options_optin_update_rules') && self_hosted && !automation) {
+      sites_updated_json = sites_updated_json_online;
+      sites_custom_ext_json = ext_path + 'sites_custom.json';
+    }
+    var ext_update_check = items.ext_update_check;
+    if (!ext_update_check || (Date.now() - ext_update_check > 60 * 60 * 1000) || (ext_manifest_version === 2)) {
+      if (optin_update && !automation)
+        check_update();
+      check_sites_updated(sites_updated_json, optin_update);
+      check_sites_custom_ext();
+      ext_api.storage.local.set({
+        ext_update_check: Date.now()
+      });
+    }
+    if (!Object.keys(sites).length && !automation)
+      ext_api.runtime.openOptionsPage();
+  });
 });
 
 // Listen for changes to options
@@ -1121,11 +1192,13 @@ ext_api.storage.onChanged.addListener(function (changes, namespace) {
 // Set and show default options on install
 ext_api.runtime.onInstalled.addListener(function (details) {
   if (details.reason == "install") {
-    setDefaultOptions();
+    unless_automation(setDefaultOptions);
   } else if (details.reason == "update") {
     ext_api.management.getSelf(function (result) {
       if (enabledSites.includes('#options_on_update') && result.installType !== 'development')
-        ext_api.runtime.openOptionsPage(); // User updated extension (non-developer mode)
+        unless_automation(function () {
+          ext_api.runtime.openOptionsPage(); // User updated extension (non-developer mode)
+        });
     });
   }
 });
@@ -1355,11 +1428,12 @@ if (typeof browser !== 'object') {
         }
         // send bg2csData to contentScript.js
         if (true) {
+          cs_status[tabId] = {url: url, state: 'running', rules: Object.keys(bg2csData), updated: Date.now()};
           setTimeout(function () {
             if (ext_manifest_version === 3 || typeof browser === 'object')
-              ext_api.tabs.sendMessage(tabId, {msg: "bg2cs", data: bg2csData}).catch(x => false);
+              ext_api.tabs.sendMessage(tabId, {msg: "bg2cs", data: bg2csData, tab_id: tabId}).catch(x => false);
             else
-              ext_api.tabs.sendMessage(tabId, {msg: "bg2cs", data: bg2csData});
+              ext_api.tabs.sendMessage(tabId, {msg: "bg2cs", data: bg2csData, tab_id: tabId});
           }, 100);
         }
         } // run cs once
@@ -1945,8 +2019,94 @@ function clear_cookies() {
   });
 }
 
+// automation bridge (server-optimus.js)
+// {request: 'bpc_status', data: {url, tab_id}} returns the state of the extension for url:
+// site enabled, rules applied & completion reported by contentScript.js ({request: 'cs_status'})
+var cs_status = {};
+
+function bpc_status(url, tab_id) {
+  let status = {
+    ext_version: ext_version,
+    automation: automation,
+    url: url,
+    domain: matchUrlDomain(enabledSites, url) || null,
+    enabled: isSiteEnabled({url: url}),
+    excluded: !!matchUrlDomain(excludedSites, url),
+    rules: {},
+    completion: null
+  };
+  if (status.enabled && !status.excluded) {
+    let rule_maps = {
+      allow_cookies: allow_cookies,
+      remove_cookies: remove_cookies,
+      block_regex: blockedRegexes,
+      block_js_inline: blockedJsInline,
+      block_js: block_js_custom,
+      block_js_ext: block_js_custom_ext,
+      random_ip: random_ip,
+      amp_unhide: amp_unhide,
+      amp_redirect: amp_redirect,
+      cs_all_frames: cs_all_frames,
+      cs_block: cs_block,
+      cs_clear_lclstrg: cs_clear_lclstrg,
+      cs_code: cs_code,
+      cs_param: cs_param,
+      ld_json: ld_json,
+      ld_json_next: ld_json_next,
+      ld_json_source: ld_json_source,
+      ld_json_url: ld_json_url,
+      ld_archive_is: ld_archive_is,
+      ld_och_to_unlock: ld_och_to_unlock,
+      add_ext_link: add_ext_link
+    };
+    for (let key in rule_maps) {
+      let rule_map = rule_maps[key];
+      let rule_domain = matchUrlDomain(Array.isArray(rule_map) ? rule_map : Object.keys(rule_map), url);
+      if (rule_domain) {
+        let value = Array.isArray(rule_map) ? true : rule_map[rule_domain];
+        status.rules[key] = (value instanceof RegExp) ? value.source : value;
+      }
+    }
+    if (matchUrlDomain(use_google_bot, url))
+      status.rules.useragent = 'googlebot';
+    else if (matchUrlDomain(use_bing_bot, url))
+      status.rules.useragent = 'bingbot';
+    else if (matchUrlDomain(use_facebook_bot, url))
+      status.rules.useragent = 'facebookbot';
+    else if (matchUrlDomain(use_useragent_custom, url))
+      status.rules.useragent = 'custom';
+    if (matchUrlDomain(use_google_referer, url))
+      status.rules.referer = 'google';
+    else if (matchUrlDomain(use_facebook_referer, url))
+      status.rules.referer = 'facebook';
+    else if (matchUrlDomain(use_twitter_referer, url))
+      status.rules.referer = 'twitter';
+    else if (matchUrlDomain(use_referer_custom, url))
+      status.rules.referer = 'custom';
+  }
+  if (tab_id && cs_status[tab_id])
+    status.completion = cs_status[tab_id];
+  else {
+    // latest report for url
+    let reports = Object.values(cs_status).filter(x => stripUrl(x.url) === stripUrl(url)).sort((a, b) => b.updated - a.updated);
+    if (reports.length)
+      status.completion = reports[0];
+  }
+  return status;
+}
+
+ext_api.tabs.onRemoved.addListener(function (tabId) {
+  delete cs_status[tabId];
+});
+
 var chrome_scheme = 'light';
-ext_api.runtime.onMessage.addListener(function (message, sender) {
+ext_api.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+  if (message.request === 'bpc_status' && message.data) {
+    sendResponse(bpc_status(message.data.url, message.data.tab_id));
+  }
+  if (message.request === 'cs_status' && message.data && sender.tab && !sender.frameId) {
+    cs_status[sender.tab.id] = Object.assign(cs_status[sender.tab.id] || {}, message.data, {url: sender.tab.url, updated: Date.now()});
+  }
   if (message.request === 'clear_cookies') {
     clear_cookies();
   }
@@ -2181,16 +2341,18 @@ ext_api.runtime.onMessage.addListener(function (message, sender) {
 });
 
 // show the opt-in tab on installation
-ext_api.storage.local.get(["optInShown", "customShown"], function (result) {
-  if (!result.optInShown || !result.customShown) {
-    ext_api.tabs.create({
-      url: "options/optin/opt-in.html"
-    });
-    ext_api.storage.local.set({
-      "optInShown": true,
-      "customShown": true
-    });
-  }
+unless_automation(function () {
+  ext_api.storage.local.get(["optInShown", "customShown"], function (result) {
+    if (!result.optInShown || !result.customShown) {
+      ext_api.tabs.create({
+        url: "options/optin/opt-in.html"
+      });
+      ext_api.storage.local.set({
+        "optInShown": true,
+        "customShown": true
+      });
+    }
+  });
 });
 
 function filterObject(obj, filterFn, mapFn = function (val, key) {
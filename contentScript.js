@@ -27,7 +27,7 @@ function run_custom(bg2csData, dompurify_loaded) {
 if (bg2csData.ld_json && dompurify_loaded) {
   let data = bg2csData.ld_json;
   if (data.includes('|')) {
-    window.setTimeout(function () {
+    csTimeout('ld_json', function () {
       let data_split = data.split('|');
       let paywall_sel = data_split[0];
       let article_sel = data_split[1];
@@ -70,7 +70,7 @@ if (bg2csData.ld_json && dompurify_loaded) {
 if (bg2csData.ld_json_next && dompurify_loaded) {
   let data = bg2csData.ld_json_next;
   if (data.includes('|')) {
-    window.setTimeout(function () {
+    csTimeout('ld_json_next', function () {
       let data_split = data.split('|');
       let paywall_sel = data_split[0];
       let article_sel = data_split[1];
@@ -120,7 +120,7 @@ if (bg2csData.ld_json_next && dompurify_loaded) {
 if (bg2csData.ld_json_source && dompurify_loaded) {
   let data = bg2csData.ld_json_source;
   if (data.includes('|')) {
-    window.setTimeout(function () {
+    csTimeout('ld_json_source', function () {
       let data_split = data.split('|');
       let paywall_sel = data_split[0];
       let article_sel = data_split[1];
@@ -165,7 +165,7 @@ if (bg2csData.ld_json_source && dompurify_loaded) {
 if (bg2csData.ld_json_url && dompurify_loaded) {
   let data = bg2csData.ld_json_url;
   if (data.includes('|')) {
-    window.setTimeout(function () {
+    csTimeout('ld_json_url', function () {
       let data_split = data.split('|');
       let paywall_sel = data_split[0];
       let article_sel = data_split[1];
@@ -210,7 +210,7 @@ if (bg2csData.ld_json_url && dompurify_loaded) {
 if (bg2csData.ld_archive_is && dompurify_loaded) {
   let data = bg2csData.ld_archive_is;
   if (data.includes('|')) {
-    window.setTimeout(function () {
+    csTimeout('ld_archive_is', function () {
       let url = window.location.href;
       let data_split = data.split('|');
       let paywall_sel = data_split[0];
@@ -249,7 +249,7 @@ if (bg2csData.ld_archive_is && dompurify_loaded) {
 if (bg2csData.add_ext_link) {
   let data = bg2csData.add_ext_link;
   if (data.css && data.css.includes('|') && data.type) {
-    window.setTimeout(function () {
+    csTimeout('add_ext_link', function () {
       let url = window.location.href;
       let data_split = data.css.split('|');
       let paywall_sel = data_split[0];
@@ -280,7 +280,7 @@ if (bg2csData.optin_setcookie) {
 
 // custom/updated sites: try to unhide text on amp-page
 if (bg2csData.amp_unhide) {
-  window.setTimeout(function () {
+  csTimeout('amp_unhide', function () {
     let amp_page_hide = document.querySelector('script[src*="/amp-access-"], script[src*="/amp-subscriptions-"]');
     if (amp_page_hide) {
       amp_unhide_subscr_section();
@@ -293,7 +293,7 @@ if (bg2csData.amp_unhide) {
 
 // custom/updated sites: amp-redirect
 if (bg2csData.amp_redirect) {
-  window.setTimeout(function () {
+  csTimeout('amp_redirect', function () {
     let amp_script = document.querySelector('script[src^="https://cdn.ampproject.org/"]');
     let amphtml = document.querySelector('head > link[rel="amphtml"]');
     let amp_page = amp_script && !amphtml;
@@ -353,20 +353,134 @@ function cs_code_elems(elems) {
 
 // custom/updated sites: cs_code
 if (bg2csData.cs_code) {
-  window.setTimeout(function () {
+  csTimeout('cs_code', function () {
     cs_code_elems(bg2csData.cs_code);
   }, 1000);
 }
 
 }// run_custom
 
+// lifecycle: cs_default passes (& their timers), run_custom timers, archive/json fetches & func_post run as tasks
+// once all tasks have settled: html[data-bpc-state="done"], 'bpc:lifecycle' event on document (detail: JSON string)
+// & cs_status message to background.js (bpc_status for popup & automation)
+var cs_tasks = [];
+var cs_tasks_pending = 0;
+var cs_tasks_timer;
+// not the one csTrackTimeouts swaps in
+var cs_setTimeout = window.setTimeout.bind(window);
+
+function csTaskStart(name, max_ms = 30000) {
+  let task = {name: name, start: Date.now(), ok: null};
+  // fetches without response
+  task.timer = cs_setTimeout(function () {
+    csTaskEnd(task, false);
+  }, max_ms);
+  cs_tasks.push(task);
+  cs_tasks_pending++;
+  window.clearTimeout(cs_tasks_timer);
+  if (cs_tasks_pending === 1)
+    csLifecycle('running');
+  return task;
+}
+
+function csTaskEnd(task, ok = true, err = null) {
+  if (!task || task.ok !== null)
+    return;
+  window.clearTimeout(task.timer);
+  task.ok = ok;
+  task.ms = Date.now() - task.start;
+  if (err) {
+    console.error(err);
+    task.error = String(err);
+  }
+  cs_tasks_pending--;
+  if (!cs_tasks_pending) {
+    cs_tasks_timer = cs_setTimeout(function () {
+      csLifecycle('done');
+    }, 100);
+  }
+}
+
+function csTimeout(name, func, delay) {
+  let task = csTaskStart(name);
+  cs_setTimeout(function () {
+    try {
+      func();
+      csTaskEnd(task);
+    } catch (err) {
+      csTaskEnd(task, false, err);
+    }
+  }, delay);
+}
+
+// setTimeout work scheduled while func runs (cs_local scripts) is tracked as tasks too,
+// as is the work those timers schedule in turn (up to depth levels)
+function csTrackTimeouts(name, func, depth = 2) {
+  let setTimeout_org = window.setTimeout;
+  window.setTimeout = function (handler, delay, ...args) {
+    if (typeof handler !== 'function')
+      return cs_setTimeout(handler, delay, ...args);
+    let task = csTaskStart(name);
+    return cs_setTimeout(function () {
+      try {
+        if (depth > 1)
+          csTrackTimeouts(name, () => handler(...args), depth - 1);
+        else
+          handler(...args);
+        csTaskEnd(task);
+      } catch (err) {
+        csTaskEnd(task, false, err);
+      }
+    }, delay);
+  };
+  try {
+    func();
+  } finally {
+    window.setTimeout = setTimeout_org;
+  }
+}
+
+function csFuncPost() {
+  if (!func_post)
+    return;
+  let task = csTaskStart('func_post');
+  try {
+    func_post();
+    csTaskEnd(task);
+  } catch (err) {
+    csTaskEnd(task, false, err);
+  }
+}
+
+function csLifecycle(state) {
+  let tasks = cs_tasks.filter(x => x.ok !== null);
+  let failed = tasks.filter(x => !x.ok).map(x => x.name);
+  let detail = {state: state, success: !failed.length, failed: failed, tasks: tasks.map(x => ({name: x.name, ok: x.ok, ms: x.ms, error: x.error}))};
+  if (document.documentElement)
+    document.documentElement.setAttribute('data-bpc-state', state);
+  document.dispatchEvent(new CustomEvent('bpc:lifecycle', {detail: JSON.stringify(detail)}));
+  if (ext_api.runtime && window === window.top)
+    ext_api.runtime.sendMessage({request: 'cs_status', data: detail});
+}
+
 var cs_default; // load from cs_local (by background.js)
 function run_cs_default(bg2csData = '') {
+  let task = csTaskStart('cs_default');
+  let task_err = null;
   for (let n = 0; n < 5; n++) {
     setTimeout(function () {
-      clearLocalStorage(bg2csData);
-      if (!bg2csData.cs_block && typeof cs_default === 'function')
-        cs_default(bg2csData);
+      try {
+        clearLocalStorage(bg2csData);
+        if (!bg2csData.cs_block && typeof cs_default === 'function')
+          csTrackTimeouts('cs_default_timeout', function () {
+            cs_default(bg2csData);
+          });
+      } catch (err) {
+        // reported as failed task (with error) in the lifecycle state
+        task_err = task_err || err;
+      }
+      if (n === 4)
+        csTaskEnd(task, !task_err, task_err);
     }, n * 200);
   }
 }
@@ -379,6 +493,9 @@ if (ext_api.runtime) {
     function (request, sender) {
     if (request.msg === 'bg2cs') {
       let bg2csData = request.data;
+      // tab of the page for bpc_status (automation)
+      if (request.tab_id && document.documentElement)
+        document.documentElement.setAttribute('data-bpc-tab', request.tab_id);
       if (!(msg_once && (url_old === window.location.href))) {
         msg_once = true;
         url_old = window.location.href;
@@ -390,8 +507,9 @@ if (ext_api.runtime) {
       if (!(msg_once_ses && url_old === window.location.href)) {
         msg_once_ses = true;
         url_old = window.location.href;
-        replaceDomElementExtSrc(request.data.url, request.data.url_src, request.data.html, true, false, request.data.selector, request.data.text_fail, request.data.selector_source, request.data.selector_archive);
-      }
+        replaceDomElementExtSrc(request.data.url, request.data.url_src, request.data.html, true, false, request.data.selector, request.data.text_fail, request.data.selector_source, request.data.selector_archive, request.data.task_id);
+      } else
+        extSrcTaskEnd(request.data.task_id, true); // article already replaced by earlier fetch
     } else if (request.msg === 'showExtFetch') {
       let fetch_id = request.data.data_ext_fetch_id;
       if (data_ext_fetch[fetch_id]) {
@@ -577,10 +695,21 @@ function getExtFetch(url, json_key = '', headers = {}, callback, data_ext_fetch_
 }
 
 var selector_level;
+// tasks of archive/external source fetches by task_id (passed along with getExtSrc/showExtSrc)
+var ext_src_tasks = {};
+var ext_src_task_id = 0;
+
+function extSrcTaskEnd(task_id, ok) {
+  csTaskEnd(ext_src_tasks[task_id], ok);
+  delete ext_src_tasks[task_id];
+}
+
 function replaceDomElementExt(url, proxy, base64, selector, text_fail = '', selector_source = selector, selector_archive = selector) {
   let article = document.querySelector(selector);
   if (!article)
     return;
+  let task_id = ++ext_src_task_id;
+  ext_src_tasks[task_id] = csTaskStart(url.startsWith('https://archive.') ? 'archive' : 'ext_src');
   if (proxy) {
     selector_level = true;
     if (!text_fail) {
@@ -589,20 +718,20 @@ function replaceDomElementExt(url, proxy, base64, selector, text_fail = '', sele
       else if (!matchUrlDomain(window.location.hostname, url))
         text_fail = 'BPC > failed to load from external site:\r\n';
     }
-    ext_api.runtime.sendMessage({request: 'getExtSrc', data: {url: url, selector: selector, selector_source: selector_source, selector_archive: selector_archive, base64: base64, text_fail: text_fail, headers: fetch_headers}});
+    ext_api.runtime.sendMessage({request: 'getExtSrc', data: {url: url, selector: selector, selector_source: selector_source, selector_archive: selector_archive, base64: base64, text_fail: text_fail, headers: fetch_headers, task_id: task_id}});
   } else {
     fetch(url, {headers: fetch_headers})
     .then(response => {
       let article = document.querySelector(selector);
       if (response.ok) {
         response.text().then(html => {
-          replaceDomElementExtSrc(url, '', html, false, base64, selector, text_fail, selector_source);
+          replaceDomElementExtSrc(url, '', html, false, base64, selector, text_fail, selector_source, selector, task_id);
         });
       } else {
-        replaceTextFail(url, article, proxy, text_fail);
+        replaceTextFail(url, article, proxy, text_fail, task_id);
       }
     }).catch(function (err) {
-      replaceTextFail(url, article, proxy, text_fail);
+      replaceTextFail(url, article, proxy, text_fail, task_id);
     });
   }
 }
@@ -613,7 +742,7 @@ function getSelectorLevel(selector) {
   return selector;
 }
 
-function replaceDomElementExtSrc(url, url_src, html, proxy, base64, selector, text_fail = '', selector_source = selector, selector_archive = selector) {
+function replaceDomElementExtSrc(url, url_src, html, proxy, base64, selector, text_fail = '', selector_source = selector, selector_archive = selector, task_id = 0) {
   let article = document.querySelector(selector);
   let article_link = document.querySelector(selector_archive);
   let no_content_msg = '&nbsp;| no article content found! | :';
@@ -656,20 +785,22 @@ function replaceDomElementExtSrc(url, url_src, html, proxy, base64, selector, te
           window.setTimeout(function () {
             if (article.parentNode) {
               article.parentNode.replaceChild(article_new, article);
-              if (func_post)
-                func_post();
+              csFuncPost();
             }
+            extSrcTaskEnd(task_id, !!article_new.parentNode);
           }, 200);
-        }
+        } else
+          extSrcTaskEnd(task_id, false);
       } else
-        replaceTextFail(url, article_link, proxy, text_fail.replace(':', no_content_msg));
+        replaceTextFail(url, article_link, proxy, text_fail.replace(':', no_content_msg), task_id);
     }, 200);
   } else {
-    replaceTextFail(url, article_link, proxy, url_src ? text_fail.replace(':', no_content_msg) : text_fail);
+    replaceTextFail(url, article_link, proxy, url_src ? text_fail.replace(':', no_content_msg) : text_fail, task_id);
   }
 }
 
-function replaceTextFail(url, article, proxy, text_fail) {
+function replaceTextFail(url, article, proxy, text_fail, task_id = 0) {
+  extSrcTaskEnd(task_id, false);
   if (text_fail && article) {
     let text_fail_div = document.createElement('div');
     text_fail_div.id = 'bpc_fail';
@@ -1080,6 +1211,7 @@ function getJsonUrlText(article, callback, article_id = '', key = '', url_rest =
   else if (url_slash)
     json_url = json_url.replace('/wp-json/', '//wp-json/');
   if (json_url) {
+    let task = csTaskStart('json_url');
     fetch(json_url)
     .then(response => {
       if (response.ok) {
@@ -1089,11 +1221,16 @@ function getJsonUrlText(article, callback, article_id = '', key = '', url_rest =
             let json_text = parseHtmlEntities(!key ? json.content.rendered : getNestedKeys(json, key));
             if (json_text && json_text !== 'undefined')
               callback(json_text, article);
+            csTaskEnd(task, !!(json_text && json_text !== 'undefined'));
           } catch (err) {
             console.log(err);
+            csTaskEnd(task, false);
           }
         });
-      }
+      } else
+        csTaskEnd(task, false);
+    }).catch(function (err) {
+      csTaskEnd(task, false);
     });
   }
 }
@@ -1122,8 +1259,7 @@ function getJsonUrlAdd(json_text, article, art_options = {}) {
     article.appendChild(article_new);
   } else
     article.parentNode.replaceChild(article_new, article);
-  if (func_post)
-    func_post();
+  csFuncPost();
 }
 
 function getJsonUrl(paywall_sel, paywall_action = '', article_sel, art_options = {}, article_id = '', key = '', url_rest = false, url_slash = false) {
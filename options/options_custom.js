@@ -29,12 +29,34 @@ function filterObject(obj, filterFn, mapFn = function (val, key) {
     filter(([key, val]) => filterFn(val, key)).map(([key, val]) => mapFn(val, key)));
 }
 
+// Shows the errors of custom sites (not saved)
+function show_errors(status, action, errors) {
+  status.style = 'white-space: pre-line; color: red;';
+  status.textContent = 'Custom sites not ' + action + ':\r\n' + errors.join('\r\n');
+}
+
+// Parses & validates custom sites json, returns {sites_custom, errors}
+function parse_sites_custom(json) {
+  var sites_custom;
+  try {
+    sites_custom = JSON.parse(json);
+  } catch (err) {
+    return {errors: ['not valid JSON: ' + err.message]};
+  }
+  return {sites_custom: sites_custom, errors: validateSiteRules(sites_custom)};
+}
+
 // Saves options to ext_api.storage
 function save_options() {
   var textareaEl = document.querySelector('#bypass_sites textarea');
   var sites_custom = {};
   if (textareaEl.value) {
-    var sites_custom = JSON.parse(textareaEl.value);
+    var parsed = parse_sites_custom(textareaEl.value);
+    if (parsed.errors.length) {
+      show_errors(document.getElementById('status'), 'saved', parsed.errors);
+      return;
+    }
+    sites_custom = parsed.sites_custom;
     sites_custom = filterObject(sites_custom, function (val, key) {
       return !(val.add_ext_link && !val.add_ext_link_type)
     });
@@ -44,6 +66,7 @@ function save_options() {
   }, function () {
     // Update status to let user know custom sites were saved.
     var status = document.getElementById('status');
+    status.style = '';
     status.textContent = 'Custom sites saved.';
     setTimeout(function () {
       status.textContent = '';
@@ -85,7 +108,12 @@ function import_json(result) {
     sites_custom: {}
   }, function (items) {
     var sites_custom = items.sites_custom;
-    var sites_custom_new = JSON.parse(result);
+    var parsed = parse_sites_custom(result);
+    if (parsed.errors.length) {
+      show_errors(document.getElementById('status'), 'imported', parsed.errors);
+      return;
+    }
+    var sites_custom_new = parsed.sites_custom;
     var customSitesExt_remove = [];
     if (sites_custom_new['###_remove_sites'] && sites_custom_new['###_remove_sites'].cs_code)
       customSitesExt_remove = sites_custom_new['###_remove_sites'].cs_code.split(/,\s?/);
@@ -109,6 +137,7 @@ function import_json(result) {
     }, function () {
       // Update status to let user know custom sites were imported.
       var status = document.getElementById('status');
+      status.style = '';
       status.textContent = 'Custom sites imported.';
       setTimeout(function () {
         //status.textContent = '';
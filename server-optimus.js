@@ -1,13 +1,70 @@
 require("dotenv").config();
 const express = require("express");
-const puppeteer = require("puppeteer-core");
 const fs = require("fs");
-const os = require("os");
-const path = require("path");
+const { BrowserPool } = require("./server/browser-pool");
+const { getExecutablePath } = require("./server/config");
+const { classifyError, errorBody } = require("./server/errors");
+const { JobManager, jobStatus } = require("./server/jobs");
+const { ProxyPool } = require("./server/proxies");
+const { registry: metrics, recordCache } = require("./server/metrics");
+const { ResponseCache } = require("./server/cache");
+const { ReadinessProbe } = require("./server/readiness");
+const {
+  ApiKeyStore,
+  authenticate,
+  enforceQuota,
+  enforceDomain,
+  enforceProxy,
+  isDomainAllowed,
+  isProxyAllowed,
+} = require("./server/auth");
+const {
+  ProfileRegistry,
+  resolveScrapeSpec,
+} = require("./server/profiles");
+const {
+  parseBatchRequest,
+  batchConcurrency,
+  prepareBatchItems,
+  runBatch,
+} = require("./server/batch");
+const {
+  runScrape,
+  revalidatePage,
+  validateScrapeSpec,
+} = require("./server/scrape");
 
 const app = express();
 app.use(express.json());
 
+// Only the liveness check is reachable without an API key: /ready and
+// /health?deep=1 lease or launch Chromium, so they stay behind auth.
+const isAuthExempt = (req) => req.path === "/health" && !req.query.deep;
+const apiKeys = new ApiKeyStore();
+apiKeys.load();
+app.use(authenticate(apiKeys, isAuthExempt));
+
+const proxyPool = new ProxyPool();
+proxyPool.load();
+const browserPool = new BrowserPool({
+  defaultProxy: () => proxyPool.select(),
+});
+const profileRegistry = new ProfileRegistry();
+profileRegistry.load();
+const services = {
+  pool: browserPool,
+  profiles: profileRegistry,
+  proxies: proxyPool,
+};
+const jobManager = new JobManager((spec, logDebug) =>
+  runScrape(services, spec, logDebug),
+);
+const readiness = new ReadinessProbe(services);
+const responseCache = new ResponseCache({
+  revalidatePage: (spec, validators, timeout, logDebug) =>
+    revalidatePage(services, spec, validators, timeout, logDebug),
+});
+
 // ========================================================================
 // Global Error Handlers
 // ========================================================================
@@ -27,161 +84,134 @@ process.on("unhandledRejection", (reason, promise) => {
 });
 
 // ========================================================================
-// Health Check Endpoint
+// Health Check Endpoints
 // ========================================================================
-app.get("/health", (req, res) => {
-  res.json({ status: "alive", timestamp: Date.now() });
+// /health is the liveness check; /ready (or /health?deep=1) verifies
+// Chromium, the extensions and the proxies, and answers 503 when the
+// instance cannot scrape.
+app.get("/health", async (req, res) => {
+  if (!req.query.deep) {
+    return res.json({ status: "alive", timestamp: Date.now() });
+  }
+  await sendReadiness(res);
 });
 
-// ========================================================================
-// Helper Function: Find and Duplicate Tab via Tab-Duplicator Extension
-// ========================================================================
-async function duplicateTabViaExtension(browser, logDebug) {
-  try {
-    logDebug(
-      "[DUPLICATE] Looking for tab-duplicator extension...",
-    );
-
-    const targets = await browser.targets();
-    logDebug(
-      `[DUPLICATE] Total targets: ${targets.length}`,
-    );
-
-    // Get all service workers
-    const serviceWorkers = targets.filter(
-      (t) =>
-        t.type() === "service_worker" &&
-        t.url().includes("chrome-extension://"),
-    );
-
-    logDebug(
-      `[DUPLICATE] Found ${serviceWorkers.length} extension service workers`,
-    );
-
-    // Find the tab-duplicator by sending identity check to each
-    let tabDuplicatorWorker = null;
-
-    for (const worker of serviceWorkers) {
-      try {
-        logDebug(
-          `[DUPLICATE] Checking identity of ${worker.url()}...`,
-        );
-        const workerContext = await worker.worker();
-
-        const identity = await Promise.race([
-          workerContext.evaluate(() => {
-            return new Promise((resolve) => {
-              chrome.runtime.sendMessage(
-                { action: "identify" },
-                (response) => {
-                  console.log(
-                    "[WORKER] Identity response:",
-                    response,
-                  );
-                  resolve(response);
-                },
-              );
-            });
-          }),
-          new Promise((_, reject) =>
-            setTimeout(
-              () => reject(new Error("timeout")),
-              1000,
-            ),
-          ),
-        ]).catch((e) => {
-          logDebug(`[DUPLICATE]   → Error: ${e.message}`);
-          return null;
-        });
-
-        logDebug(
-          `[DUPLICATE]   → identity=${identity?.identity || "unknown"}`,
-        );
-
-        if (
-          identity &&
-          identity.identity === "tab-duplicator"
-        ) {
-          logDebug(
-            `[DUPLICATE] ✓ FOUND tab-duplicator at: ${worker.url()}`,
-          );
-          tabDuplicatorWorker = worker;
-          break;
-        }
-      } catch (e) {
-        logDebug(
-          `[DUPLICATE] Worker evaluation error: ${e.message}`,
-        );
-        continue;
-      }
-    }
+app.get("/ready", async (req, res) => {
+  await sendReadiness(res);
+});
 
-    if (!tabDuplicatorWorker) {
-      throw new Error(
-        `Tab-duplicator extension not found among ${serviceWorkers.length} service workers. ` +
-          `Checked: ${serviceWorkers.map((w) => w.url()).join(", ")}`,
-      );
-    }
+async function sendReadiness(res) {
+  const result = await readiness.check();
+  res.status(result.ready ? 200 : 503).json({
+    status: result.ready ? "ready" : "unavailable",
+    timestamp: result.checkedAt,
+    components: result.components,
+  });
+}
 
-    logDebug("[DUPLICATE] Sending duplicateTab command...");
-    const workerContext =
-      await tabDuplicatorWorker.worker();
-
-    const result = await workerContext.evaluate(() => {
-      return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage(
-          { action: "duplicateTab" },
-          (response) => {
-            console.log(
-              "[WORKER] Duplicate response:",
-              response,
-            );
-            if (chrome.runtime.lastError) {
-              console.error(
-                "[WORKER] Error:",
-                chrome.runtime.lastError,
-              );
-              reject(
-                new Error(chrome.runtime.lastError.message),
-              );
-            } else if (response && response.success) {
-              resolve(response);
-            } else if (!response) {
-              reject(
-                new Error("No response from extension"),
-              );
-            } else {
-              reject(
-                new Error(
-                  response.error || "Unknown error",
-                ),
-              );
-            }
-          },
-        );
-      });
-    });
+// ========================================================================
+// Metrics Endpoint (`/metrics`)
+// ========================================================================
+// Prometheus text format. Scrape counters and phase histograms are
+// recorded by the scrape pipeline; the gauges below are read on demand.
+metrics.gauge(
+  "scraper_pool_browsers",
+  "Browsers in the pool, by state.",
+  () => {
+    const stats = browserPool.stats();
+    return [
+      { labels: { state: "ready" }, value: stats.browsers },
+      { labels: { state: "launching" }, value: stats.launching },
+    ];
+  },
+);
+metrics.gauge(
+  "scraper_pool_active_pages",
+  "Pages currently leased from the pool.",
+  () => browserPool.stats().activePages,
+);
+metrics.gauge(
+  "scraper_pool_waiting",
+  "Requests waiting for a free browser.",
+  () => browserPool.stats().waiting,
+);
+metrics.gauge(
+  "scraper_chromium_memory_bytes",
+  "Resident memory of each pooled Chromium process tree.",
+  () =>
+    browserPool
+      .memoryUsage()
+      .map((m) => ({ labels: { browser: m.id }, value: m.rss })),
+);
+metrics.gauge(
+  "scraper_jobs",
+  "Background jobs, by state.",
+  () => {
+    const stats = jobManager.stats();
+    return [
+      { labels: { state: "queued" }, value: stats.queued },
+      { labels: { state: "running" }, value: stats.running },
+    ];
+  },
+);
+metrics.gauge(
+  "scraper_proxy_healthy",
+  "1 when the upstream proxy is in rotation, 0 while marked bad.",
+  () =>
+    proxyPool
+      .stats()
+      .map((p) => ({ labels: { proxy: p.name }, value: p.healthy ? 1 : 0 })),
+);
+metrics.gauge(
+  "scraper_cache_entries",
+  "Entries in the response cache.",
+  () => responseCache.stats().entries,
+);
+metrics.gauge(
+  "process_resident_memory_bytes",
+  "Resident memory of the Node.js server process.",
+  () => process.memoryUsage().rss,
+);
+
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
 
-    logDebug(
-      `[DUPLICATE] ✓ Tab successfully duplicated. New tab ID: ${result.newTabId}`,
-    );
-    return result;
-  } catch (error) {
-    logDebug(`[DUPLICATE] Failed: ${error.message}`);
-    throw error;
+// ========================================================================
+// Site Profiles Endpoint (`/profiles`)
+// ========================================================================
+app.get("/profiles", (req, res) => {
+  if (req.query.url) {
+    const matched = profileRegistry.match(req.query.url);
+    return res.json({ url: req.query.url, profile: matched });
   }
-}
+  res.json(profileRegistry.list());
+});
 
 // ========================================================================
-// Scraping Endpoint (`/scrape`)
+// Scraping Endpoints (`/scrape`, `/screenshot`, `/pdf`)
 // ========================================================================
-app.post("/scrape", async (req, res) => {
+// /screenshot and /pdf are /scrape with the capture format preset.
+app.post("/scrape", (req, res) => handleScrape(req, res, req.body || {}));
+
+app.post("/screenshot", (req, res) =>
+  handleScrape(req, res, {
+    ...req.body,
+    format: req.body && req.body.format === "jpeg" ? "jpeg" : "png",
+  }),
+);
+
+app.post("/pdf", (req, res) =>
+  handleScrape(req, res, { ...req.body, format: "pdf" }),
+);
+
+async function handleScrape(req, res, body) {
   const {
     url,
     selector,
     method = "css",
     debug = false,
-  } = req.body;
+  } = body;
 
   const logDebug = (...args) => {
     if (debug) {
@@ -191,437 +221,237 @@ app.post("/scrape", async (req, res) => {
 
   logDebug(
     "[DEBUG] Raw req.body received:",
-    JSON.stringify(req.body, null, 2),
+    JSON.stringify(body, null, 2),
   );
   logDebug(
     `[REQUEST] Processing scrape request: url=${url}, selector="${selector}", method=${method}, debug=${debug}`,
   );
 
-  if (!url || !selector) {
+  const spec = resolveScrapeSpec(profileRegistry, body);
+  const validationError = validateScrapeSpec(spec);
+  if (validationError) {
     if (debug) {
-      console.warn(
-        "[REQUEST] Bad Request: Missing url or selector.",
-      );
+      console.warn(`[REQUEST] Bad Request: ${validationError}`);
     }
-    return res.status(400).json({
-      error: "Missing required fields: url and selector",
-    });
+    return res.status(400).json({ error: validationError });
   }
-
-  let browser = null;
-  let page = null;
-  let userDataDir = null;
+  if (!enforceDomain(req, res, spec.url)) return;
+  if (!enforceProxy(req, res, proxyPool, body.proxy)) return;
+  const release = enforceQuota(req, res);
+  if (!release) return;
 
   try {
-    // --- 3. Prepare Browser Launch Options ---
-    let extensionArgs = [];
-    if (process.env.EXTENSION_PATHS) {
-      logDebug(
-        `[LAUNCH] Preparing extensions from: ${process.env.EXTENSION_PATHS}`,
-      );
-
-      // Split by COMMA (not colon), then filter empty strings
-      const extensionPaths =
-        process.env.EXTENSION_PATHS.split(",")
-          .map((p) => p.trim())
-          .filter((p) => p.length > 0);
-
-      logDebug(
-        `[LAUNCH] Parsed ${extensionPaths.length} extension paths:`,
-      );
-      extensionPaths.forEach((p) => logDebug(`  - ${p}`));
-
-      const disableExcept = extensionPaths.join(",");
-      const loadExt = extensionPaths.join(",");
-
-      extensionArgs = [
-        `--proxy-server=socks5://r5s.bruc:1080`,
-        `--disable-extensions-except=${disableExcept}`,
-        `--load-extension=${loadExt}`,
-      ];
-    }
-
-    userDataDir = fs.mkdtempSync(
-      path.join(os.tmpdir(), "puppeteer-user-data-"),
+    const { result, status, age } = await responseCache.fetch(
+      spec,
+      () => runScrape(services, spec, logDebug),
+      logDebug,
     );
+    recordCache(status);
     logDebug(
-      `[LAUNCH] Created temporary user data dir: ${userDataDir}`,
+      "[RESPONSE] Sending extracted data to client.",
     );
-
-    const launchArgs = [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-accelerated-2d-canvas",
-      "--disable-gpu",
-      "--use-gl=swiftshader",
-      "--window-size=1280,720",
-      "--font-render-hinting=none",
-      "--enable-extensions",
-      "--enable-extension-assets",
-      "--disable-background-networking",
-      "--disable-default-apps",
-      "--disable-sync",
-      "--disable-translate",
-      "--disable-notifications",
-      "--no-first-run",
-      "--no-default-browser-check",
-      "--disable-web-security", // May help with extension loading
-      ...extensionArgs,
-    ];
-
-    logDebug("[LAUNCH] Initializing browser instance...");
-
-    // Debug: Check DISPLAY environment variable
-    logDebug(
-      `[LAUNCH] DISPLAY environment variable: ${process.env.DISPLAY || "NOT SET"}`,
+    res.set("X-Cache", status).set("Age", String(age));
+    sendScrapeResult(res, result);
+  } catch (error) {
+    console.error(
+      "[ERROR] Scraping failed:",
+      error.message,
     );
-
-    // Debug: Check current process resource limits
-    if (debug) {
-      try {
-        const { execSync } = require("child_process");
-        const limits = execSync(
-          `cat /proc/${process.pid}/limits | grep "open files"`,
-        ).toString();
-        logDebug(
-          `[LAUNCH] Current process limits: ${limits.trim()}`,
-        );
-      } catch (e) {
-        logDebug(
-          `[LAUNCH] Could not read process limits: ${e.message}`,
-        );
-      }
+    if (debug || process.env.NODE_ENV === "development") {
+      console.error("[ERROR] Full Error Details:", error);
     }
+    res.status(classifyError(error)).json(errorBody(error, debug));
+  } finally {
+    release();
+  }
+}
 
-    browser = await puppeteer.launch({
-      executablePath:
-        process.env.EXECUTABLE_PATH ||
-        "/usr/bin/chromium-browser",
-      headless: "new",
-      userDataDir,
-      args: launchArgs,
-      dumpio: true, // Keep logging for now
-      timeout: 60000,
-      env: process.env,
-    });
-    logDebug("[LAUNCH] Browser launched successfully.");
-
-    // --- Debug: Check all loaded extension targets ---
-    logDebug(
-      "[LAUNCH] Checking all loaded extension targets...",
-    );
-    const allTargets = await browser.targets();
-    logDebug(
-      `[LAUNCH] Total targets: ${allTargets.length}`,
+// Attempts, source and detection results go in headers too, for
+// replies that are not JSON
+function sendScrapeResult(res, result) {
+  if (result.attempts) {
+    res.set("X-Scrape-Attempts", String(result.attempts.length));
+  }
+  if (result.source) res.set("X-Scrape-Source", result.source);
+  if (result.frame) res.set("X-Scrape-Frame", result.frame.url);
+  if (result.extension) {
+    res.set(
+      "X-BPC-Rules",
+      Object.keys(result.extension.rules).join(",") || "none",
     );
-    allTargets.forEach((t, i) => {
-      if (t.url().includes("chrome-extension://")) {
-        logDebug(
-          `  [${i}] type=${t.type()}, url=${t.url()}`,
-        );
-      }
+  }
+  if (result.detection) {
+    const { paywallDetected, truncated, bpcFailure, captcha } =
+      result.detection;
+    res.set({
+      "X-Paywall-Detected": String(paywallDetected),
+      "X-Content-Truncated": String(truncated),
+      "X-BPC-Failure": String(!!bpcFailure),
+      "X-Captcha-Detected": captcha ? captcha.provider : "false",
     });
+  }
+  if (result.encoding === "base64") {
+    res.type(result.contentType).send(Buffer.from(result.data, "base64"));
+  } else if (result.contentType === "application/json") {
+    // Added per reply: `data` is what the response cache stores
+    res.json({
+      ...result.data,
+      attempts: result.attempts,
+      source: result.source,
+    });
+  } else {
+    res.type(result.contentType).send(result.data);
+  }
+}
 
-    logDebug("[NAVIGATE] Creating new page...");
-    page = await browser.newPage();
-    await page.setViewport({ width: 1280, height: 720 });
-
-    logDebug("[NAVIGATE] Setting User-Agent...");
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36",
-    );
-
-    logDebug(
-      "[DELAY] Waiting 3 seconds before navigating...",
-    );
-    await new Promise((resolve) =>
-      setTimeout(resolve, 3000),
-    );
+// ========================================================================
+// Batch Scraping Endpoint (`/scrape/batch`)
+// ========================================================================
+// Scrapes many items over the shared pool. Replies with one JSON document
+// once all items are done, or streams one NDJSON line per item when
+// `stream: true` is set or the client accepts application/x-ndjson.
+app.post("/scrape/batch", async (req, res) => {
+  const { items, error } = parseBatchRequest(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  // Items are validated before the batch takes a concurrency slot
+  const prepared = prepareBatchItems(profileRegistry, items);
+  // Every item counts against the key's rate limit
+  const release = enforceQuota(req, res, items.length);
+  if (!release) return;
+  try {
+    await sendBatch(req, res, prepared);
+  } finally {
+    release();
+  }
+});
 
-    logDebug(`[NAVIGATE] Loading URL: ${url}`);
-    await page.goto(url, {
-      waitUntil: "networkidle2",
-      timeout: 45000,
-    });
-    logDebug(`[NAVIGATE] Page loaded successfully: ${url}`);
-
-    // --- NEW: Check if URL matches wsj.com and duplicate tab ---
-    if (url.includes("wsj.com/")) {
-      logDebug(
-        "[URL_MATCH] URL matches wsj.com/, attempting to duplicate tab...",
-      );
-      try {
-        await duplicateTabViaExtension(browser, logDebug);
-        logDebug("[URL_MATCH] Tab duplication completed.");
-      } catch (dupError) {
-        logDebug(
-          `[URL_MATCH] Tab duplication error (non-fatal): ${dupError.message}`,
-        );
-        // Continue scraping even if duplication fails
-      }
+async function sendBatch(req, res, prepared) {
+  const debug = !!req.body.debug;
+  const logDebug = (...args) => {
+    if (debug) {
+      console.log(...args);
     }
+  };
+  const concurrency = batchConcurrency(req.body.concurrency);
+  const stream =
+    req.body.stream === true ||
+    (req.get("accept") || "").includes("application/x-ndjson");
 
-    logDebug(`[NAVIGATE END] move and scroll.`);
-    await page.mouse.move(100, 100);
-    await page.evaluate(() => window.scrollBy(0, 200));
+  logDebug(
+    `[BATCH] Processing ${prepared.length} items, concurrency=${concurrency}, stream=${stream}`,
+  );
 
-    const postNavDelay = method === "xpath" ? 5000 : 2000;
-    logDebug(
-      `[DELAY] Waiting ${postNavDelay / 1000} seconds after navigation before extraction...`,
-    );
-    await new Promise((resolve) =>
-      setTimeout(resolve, postNavDelay),
-    );
+  let aborted = false;
+  res.on("close", () => {
+    if (!res.writableFinished) aborted = true;
+  });
 
-    // --- 6. Extract Data (Conditional Logic: XPath vs CSS) ---
-    let extractedData;
-
-    if (method === "xpath") {
-      logDebug(
-        `[XPATH] Evaluating XPath selector: ${selector}`,
-      );
-      extractedData = await page.evaluate(
-        (xpathSelector) => {
-          try {
-            const result = document.evaluate(
-              xpathSelector,
-              document,
-              null,
-              XPathResult.ANY_TYPE,
-              null,
-            );
-            const results = [];
-            const processNode = (node) => {
-              if (!node) return null;
-              switch (node.nodeType) {
-                case Node.ELEMENT_NODE:
-                  return node.outerHTML;
-                case Node.ATTRIBUTE_NODE:
-                case Node.TEXT_NODE:
-                  return node.nodeValue;
-                case Node.COMMENT_NODE:
-                  return `<!-- ${node.nodeValue} -->`;
-                default:
-                  return `Unsupported node type: ${node.nodeType}`;
-              }
-            };
-            switch (result.resultType) {
-              case XPathResult.NUMBER_TYPE:
-                return [result.numberValue];
-              case XPathResult.STRING_TYPE:
-                return [result.stringValue];
-              case XPathResult.BOOLEAN_TYPE:
-                return [result.booleanValue];
-              case XPathResult.UNORDERED_NODE_ITERATOR_TYPE:
-              case XPathResult.ORDERED_NODE_ITERATOR_TYPE: {
-                let node;
-                while ((node = result.iterateNext())) {
-                  results.push(processNode(node));
-                }
-                return results;
-              }
-              case XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE:
-              case XPathResult.ORDERED_NODE_SNAPSHOT_TYPE: {
-                for (
-                  let i = 0;
-                  i < result.snapshotLength;
-                  i++
-                ) {
-                  results.push(
-                    processNode(result.snapshotItem(i)),
-                  );
-                }
-                return results;
-              }
-              case XPathResult.ANY_UNORDERED_NODE_TYPE:
-              case XPathResult.FIRST_ORDERED_NODE_TYPE:
-                return [
-                  processNode(result.singleNodeValue),
-                ];
-              default:
-                return [
-                  `Unknown XPathResult type: ${result.resultType}`,
-                ];
-            }
-          } catch (error) {
-            throw new Error(
-              `XPath evaluation failed in browser: ${error.message}`,
-            );
-          }
-        },
-        selector,
-      );
-      logDebug(`[XPATH] Evaluation successful.`);
-      
-      // Dump content if XPath found nothing
-      if (!extractedData || (Array.isArray(extractedData) && extractedData.length === 0)) {
-        console.warn(`[XPATH] No results found for selector: "${selector}". Dumping page content (truncated to 4096 chars):`);
-        try {
-          const content = await page.content();
-          const truncated = content.slice(0, 4096);
-          console.log(truncated);
-          if (content.length > 4096) {
-            console.log(`[XPATH] (Content truncated: ${content.length} total chars)`);
-          }
-        } catch (e) {
-          console.error("[XPATH] Failed to dump page content:", e.message);
-        }
-      }
-    } else {
-      logDebug(
-        `[CSS] Waiting for CSS selector: ${selector}`,
-      );
-      const elementHandle = await page.waitForSelector(
-        selector,
-        { timeout: 15000 },
-      );
-      if (!elementHandle) {
-        throw new Error(
-          `CSS selector "${selector}" was found by waitForSelector, but handle is unexpectedly null.`,
-        );
+  const results = new Array(prepared.length);
+  if (stream) {
+    res.status(200).type("application/x-ndjson");
+  }
+  await runBatch(
+    services,
+    prepared,
+    {
+      concurrency,
+      logDebug,
+      isAborted: () => aborted,
+      isAllowed: (url) => isDomainAllowed(req.apiKey, url),
+      isProxyAllowed: (proxy) => isProxyAllowed(req.apiKey, proxyPool, proxy),
+    },
+    (result, index) => {
+      if (stream) {
+        res.write(JSON.stringify(result) + "\n");
+      } else {
+        results[index] = result;
       }
-      logDebug(
-        `[CSS] Extracting outerHTML for selector: ${selector}`,
-      );
-      extractedData = await elementHandle.evaluate(
-        (el) => el.outerHTML,
-      );
-
-      await elementHandle.dispose();
-      logDebug(`[CSS] Extraction successful.`);
-
-      res.type("text/html").send(extractedData);
-      return;
-    }
+    },
+  );
 
-    logDebug(
-      "[RESPONSE] Sending extracted data to client.",
-    );
-    res.json(extractedData);
-  } catch (error) {
-    console.error(
-      "[ERROR] Scraping failed:",
-      error.message,
-    );
-    if (debug || process.env.NODE_ENV === "development") {
-      console.error("[ERROR] Full Error Details:", error);
-    }
+  if (stream) {
+    res.end();
+    return;
+  }
+  const succeeded = results.filter((r) => r && r.ok).length;
+  res.json({
+    total: prepared.length,
+    succeeded,
+    failed: prepared.length - succeeded,
+    results,
+  });
+}
 
-    // Dump content on selector timeout/error
-    if (
-      page && 
-      (error.name === "TimeoutError" || 
-       error.message.includes("timeout") || 
-       error.message.includes("selector"))
-    ) {
-      console.warn(`[ERROR] Selector issue detected. Dumping page content (truncated to 4096 chars):`);
-      try {
-        const content = await page.content();
-        const truncated = content.slice(0, 4096);
-        console.log(truncated);
-        if (content.length > 4096) {
-          console.log(`[ERROR] (Content truncated: ${content.length} total chars)`);
-        }
-      } catch (e) {
-        console.error("[ERROR] Could not dump page content:", e.message);
-      }
-    }
+// ========================================================================
+// Job Endpoints (`/jobs`)
+// ========================================================================
+// Asynchronous variant of /scrape: POST returns a job id immediately,
+// the scrape runs in the background and the result is fetched later.
+app.post("/jobs", (req, res) => {
+  const spec = resolveScrapeSpec(profileRegistry, req.body);
+  const validationError = validateScrapeSpec(spec);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (!enforceDomain(req, res, spec.url)) return;
+  if (!enforceProxy(req, res, proxyPool, req.body && req.body.proxy)) return;
+  // The concurrency slot is held until the job has finished
+  const release = enforceQuota(req, res);
+  if (!release) return;
+  const job = jobManager.submit(spec, {
+    owner: req.apiKey ? req.apiKey.name : null,
+    onSettled: release,
+  });
+  if (!job) {
+    release();
+    return res.status(503).json({
+      error: "Job queue is full, retry later",
+    });
+  }
+  res.status(202).location(`/jobs/${job.id}`).json(jobStatus(job));
+});
 
-    let statusCode = 500;
-    if (
-      error.name === "TimeoutError" ||
-      error.message.includes("timeout") ||
-      error.message.includes("exceeded")
-    ) {
-      statusCode = 504;
-    } else if (
-      error.message.includes("selector") &&
-      (error.message.includes("not found") ||
-        error.message.includes("failed to find element"))
-    ) {
-      statusCode = 404;
-    } else if (
-      error.message.includes("Navigation failed") ||
-      error.message.includes("net::ERR_")
-    ) {
-      statusCode = 502;
-    } else if (
-      error.message.includes("XPath evaluation failed")
-    ) {
-      statusCode = 400;
-    }
+// Jobs are only visible to the API key that submitted them
+function findJob(req) {
+  const job = jobManager.get(req.params.id);
+  if (job && req.apiKey && job.owner !== req.apiKey.name) return null;
+  return job;
+}
 
-    res.status(statusCode).json({
-      error: "Scraping failed",
-      details: error.message,
-      type: error.constructor.name,
-      stack:
-        debug || process.env.NODE_ENV === "development"
-          ? error.stack
-          : undefined,
-    });
-  } finally {
-    logDebug("[CLEANUP] Closing resources...");
-    if (page) {
-      try {
-        await page.close();
-        logDebug("[CLEANUP] Page closed.");
-      } catch (e) {
-        if (debug)
-          console.error("[CLEANUP] Error closing page:", e);
-      }
-    }
-    if (browser) {
-      try {
-        await browser.close();
-        logDebug("[CLEANUP] Browser closed.");
-      } catch (e) {
-        if (debug)
-          console.error(
-            "[CLEANUP] Error closing browser:",
-            e,
-          );
-      }
-    }
-    if (userDataDir) {
-      logDebug(
-        `[CLEANUP] Removing user data dir: ${userDataDir}`,
-      );
-      try {
-        if (fs.promises && fs.promises.rm) {
-          await fs.promises.rm(userDataDir, {
-            recursive: true,
-            force: true,
-          });
-        } else {
-          fs.rmdirSync(userDataDir, { recursive: true });
-        }
-        logDebug("[CLEANUP] User data dir removed.");
-      } catch (err) {
-        if (debug)
-          console.error(
-            "[CLEANUP] Failed to remove user data dir:",
-            userDataDir,
-            err,
-          );
-      }
-    }
-    logDebug("[CLEANUP] Cleanup finished.");
+app.get("/jobs/:id", (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(jobStatus(job));
+});
+
+app.get("/jobs/:id/result", (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status === "succeeded") {
+    return sendScrapeResult(res, job.result);
+  }
+  if (job.status === "failed") {
+    return res.status(job.statusCode).json(job.error);
   }
+  // Still queued or running
+  res.status(202).json(jobStatus(job));
 });
 
 // ========================================================================
 // Server Initialization
 // ========================================================================
 const PORT = process.env.PORT || 5555;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(
     `[SERVER] Service started. Running on port ${PORT}`,
   );
-  const execPath =
-    process.env.EXECUTABLE_PATH ||
-    "/usr/bin/chromium-browser";
+  const execPath = getExecutablePath();
   console.log(
     `[CHROMIUM] Using executable path: ${execPath}`,
   );
@@ -639,4 +469,22 @@ app.listen(PORT, () => {
       `[CHROMIUM] No extensions configured to load.`,
     );
   }
+  jobManager.start();
+  browserPool.start().catch((e) =>
+    console.error("[POOL] Failed to start browser pool:", e),
+  );
 });
+
+// ========================================================================
+// Graceful Shutdown
+// ========================================================================
+async function shutdown(signal) {
+  console.log(`[SERVER] Received ${signal}, shutting down...`);
+  server.close();
+  jobManager.stop();
+  await browserPool.close();
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,389 @@
+const { envInt } = require("./config");
+const { duplicateTabViaExtension } = require("./extension");
+
+// ========================================================================
+// Post-Navigation Actions
+// ========================================================================
+// Steps run in order after the page has loaded, declared by site
+// profiles or by the request. Supported types:
+//
+//   { type: "mouseMove", x, y }
+//   { type: "scroll", y }             // window.scrollBy(0, y)
+//   { type: "scrollToBottom", step: 600, delay: 100 }
+//                                     // scroll down in steps, so lazy
+//                                     // content loads on the way
+//   { type: "infiniteScroll", maxScrolls: 10, delay: 1000 }
+//                                     // until the page stops growing
+//   { type: "click", selector, repeat: 1, delay: 500 }
+//                                     // repeat: keep clicking ("show
+//                                     // more") while the element is there
+//   { type: "hover", selector }
+//   { type: "type", selector, text, delay: 0, clear: false }
+//   { type: "press", key, selector }  // "Enter", "Escape", ...
+//   { type: "wait", ms }              // or { selector, hidden }
+//   { type: "dismissDialog", selectors, accept: false }
+//                                     // click the first visible consent /
+//                                     // close button, and answer later
+//                                     // alert/confirm dialogs
+//   { type: "selectFrame", selector | name | url }
+//                                     // later steps run in that iframe;
+//                                     // without a target, back to the page
+//   { type: "evaluate", script }      // JS expression run in the frame;
+//                                     // its result as JSON (1000 chars)
+//   { type: "duplicateTab" }          // via the tab-duplicator extension
+//
+// Every step takes an optional `timeout` (default ACTION_STEP_TIMEOUT,
+// 10000 ms); the scrolling and repeated-click steps stop at it instead of
+// failing, and a fixed wait lasts at most its timeout. A step still
+// running when runActions() gives up on it is aborted through its
+// `signal`: it stops at its next check instead of scrolling, clicking or
+// switching frames under the later steps. A step with `optional: true`
+// logs its error and lets the scrape go on; duplicateTab and
+// dismissDialog are optional unless they say otherwise. runActions()
+// returns one `{ type, ok, ms, ... }` record per step for the debug
+// output.
+
+// Consent and close buttons tried by dismissDialog without `selectors`.
+const DISMISS_SELECTORS = [
+  "#onetrust-accept-btn-handler",
+  "#didomi-notice-agree-button",
+  "button.fc-cta-consent",
+  "#sp-cc-accept",
+  'button[data-testid="uc-accept-all-button"]',
+  'button[aria-label="Close" i]',
+  'button[aria-label="Dismiss" i]',
+  "button.modal-close",
+];
+
+// Steps with the selector they require.
+const SELECTOR_STEPS = ["click", "hover", "type"];
+
+// The frame chosen by selectFrame, or the page itself.
+function target(context) {
+  return context.frame || context.page;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const ACTIONS = {
+  async mouseMove({ page }, action) {
+    await page.mouse.move(action.x ?? 100, action.y ?? 100);
+  },
+
+  async scroll(context, action) {
+    await target(context).evaluate(
+      (y) => window.scrollBy(0, y),
+      action.y ?? 200,
+    );
+  },
+
+  async scrollToBottom(context, action, timeout, signal) {
+    const frame = target(context);
+    const step = action.step ?? 600;
+    const deadline = Date.now() + timeout;
+    let scrolls = 0;
+    while (Date.now() < deadline) {
+      signal.throwIfAborted();
+      const atBottom = await frame.evaluate((dy) => {
+        window.scrollBy(0, dy);
+        const root = document.scrollingElement || document.documentElement;
+        return window.innerHeight + window.scrollY >= root.scrollHeight - 2;
+      }, step);
+      scrolls++;
+      if (atBottom) break;
+      await sleep(action.delay ?? 100);
+    }
+    return { scrolls };
+  },
+
+  async infiniteScroll(context, action, timeout, signal) {
+    const frame = target(context);
+    const maxScrolls = action.maxScrolls ?? 10;
+    const deadline = Date.now() + timeout;
+    const height = () =>
+      frame.evaluate(
+        () =>
+          (document.scrollingElement || document.documentElement)
+            .scrollHeight,
+      );
+    let last = await height();
+    let scrolls = 0;
+    while (scrolls < maxScrolls && Date.now() < deadline) {
+      signal.throwIfAborted();
+      await frame.evaluate(() =>
+        window.scrollTo(
+          0,
+          (document.scrollingElement || document.documentElement)
+            .scrollHeight,
+        ),
+      );
+      scrolls++;
+      await sleep(action.delay ?? 1000);
+      const current = await height();
+      if (current <= last) break;
+      last = current;
+    }
+    return { scrolls, height: last };
+  },
+
+  async click(context, action, timeout, signal) {
+    const frame = target(context);
+    const repeat = action.repeat ?? 1;
+    const deadline = Date.now() + timeout;
+    let clicks = 0;
+    while (clicks < repeat && (clicks === 0 || Date.now() < deadline)) {
+      const element =
+        clicks === 0
+          ? await frame.waitForSelector(action.selector, { timeout })
+          : await frame.$(action.selector);
+      if (!element) break; // "show more" ran out
+      try {
+        signal.throwIfAborted();
+        await element.click();
+      } finally {
+        await element.dispose();
+      }
+      clicks++;
+      if (clicks < repeat) await sleep(action.delay ?? 500);
+    }
+    return repeat > 1 ? { clicks } : undefined;
+  },
+
+  async hover(context, action, timeout) {
+    const element = await target(context).waitForSelector(action.selector, {
+      timeout,
+    });
+    try {
+      await element.hover();
+    } finally {
+      await element.dispose();
+    }
+  },
+
+  async type(context, action, timeout) {
+    const element = await target(context).waitForSelector(action.selector, {
+      timeout,
+    });
+    try {
+      if (action.clear) {
+        await element.evaluate((el) => {
+          el.value = "";
+        });
+      }
+      await element.type(String(action.text), { delay: action.delay ?? 0 });
+    } finally {
+      await element.dispose();
+    }
+  },
+
+  async press(context, action, timeout) {
+    if (action.selector) {
+      const element = await target(context).waitForSelector(
+        action.selector,
+        { timeout },
+      );
+      try {
+        await element.press(action.key);
+      } finally {
+        await element.dispose();
+      }
+    } else {
+      await context.page.keyboard.press(action.key);
+    }
+  },
+
+  async wait(context, action, timeout) {
+    if (action.selector) {
+      await target(context).waitForSelector(action.selector, {
+        hidden: !!action.hidden,
+        timeout,
+      });
+    } else {
+      await sleep(Math.min(action.ms ?? 1000, timeout));
+    }
+  },
+
+  async dismissDialog(context, action) {
+    if (!context.dialogHandler) {
+      context.dialogHandler = (dialog) => {
+        context.logDebug(
+          `[ACTION] Answering ${dialog.type()} dialog: ${dialog.message()}`,
+        );
+        (action.accept ? dialog.accept() : dialog.dismiss()).catch(() => {});
+      };
+      context.page.on("dialog", context.dialogHandler);
+    }
+    const clicked = await target(context).evaluate((selectors) => {
+      for (const selector of selectors) {
+        const button = [...document.querySelectorAll(selector)].find(
+          (el) => el.offsetWidth > 0 || el.offsetHeight > 0,
+        );
+        if (button) {
+          button.click();
+          return selector;
+        }
+      }
+      return null;
+    }, action.selectors || DISMISS_SELECTORS);
+    return { clicked };
+  },
+
+  async selectFrame(context, action, timeout, signal) {
+    const { page } = context;
+    let frame = null;
+    if (action.selector) {
+      const element = await target(context).waitForSelector(
+        action.selector,
+        { timeout },
+      );
+      try {
+        frame = await element.contentFrame();
+      } finally {
+        await element.dispose();
+      }
+      if (!frame) {
+        throw new Error(`selectFrame: "${action.selector}" is not an iframe`);
+      }
+    } else if (action.name || action.url) {
+      const deadline = Date.now() + timeout;
+      const matches = (f) =>
+        action.name ? f.name() === action.name : f.url().includes(action.url);
+      while (!(frame = page.frames().find(matches))) {
+        signal.throwIfAborted();
+        if (Date.now() >= deadline) {
+          throw new Error(
+            `selectFrame: waiting for frame ${action.name || action.url} timeout ${timeout}ms exceeded`,
+          );
+        }
+        await sleep(100);
+      }
+    }
+    // Later steps may already be running in another frame
+    signal.throwIfAborted();
+    context.frame = frame;
+    return { frame: context.frame ? context.frame.url() : "main" };
+  },
+
+  async evaluate(context, action) {
+    const value = await target(context).evaluate(action.script);
+    const json = JSON.stringify(value) ?? null;
+    const truncated = json !== null && json.length > 1000;
+    return { value: truncated ? json.slice(0, 1000) : json, truncated };
+  },
+
+  async duplicateTab({ page, browser, logDebug }) {
+    // Pooled browsers host several pages at once, so make sure
+    // ours is the active tab the extension will duplicate.
+    await page.bringToFront();
+    await duplicateTabViaExtension(browser, logDebug);
+  },
+};
+
+const OPTIONAL_BY_DEFAULT = ["duplicateTab", "dismissDialog"];
+
+// Returns an error message when `actions` is not a valid action list.
+function validateActions(actions) {
+  if (actions === undefined) return null;
+  if (!Array.isArray(actions)) return "actions must be an array";
+  for (const [i, action] of actions.entries()) {
+    if (!action || !ACTIONS[action.type]) {
+      return `actions[${i}]: unknown action type "${action && action.type}". Expected one of: ${Object.keys(ACTIONS).join(", ")}`;
+    }
+    if (SELECTOR_STEPS.includes(action.type) && !action.selector) {
+      return `actions[${i}]: ${action.type} requires a selector`;
+    }
+    if (action.type === "type" && action.text === undefined) {
+      return `actions[${i}]: type requires a text`;
+    }
+    if (action.type === "press" && !action.key) {
+      return `actions[${i}]: press requires a key`;
+    }
+    if (action.type === "evaluate" && typeof action.script !== "string") {
+      return `actions[${i}]: evaluate requires a script`;
+    }
+    if (
+      action.type === "dismissDialog" &&
+      action.selectors !== undefined &&
+      !Array.isArray(action.selectors)
+    ) {
+      return `actions[${i}]: dismissDialog selectors must be an array`;
+    }
+    for (const field of ["timeout", "ms"]) {
+      const value = action[field];
+      if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+        return `actions[${i}]: ${field} must be a positive number of ms`;
+      }
+    }
+  }
+  return null;
+}
+
+// Runs `step(signal)` and rejects when it has not settled after `ms`,
+// aborting `signal` so the step stops at its next check.
+function withTimeout(step, ms, label) {
+  const controller = new AbortController();
+  let timer;
+  return Promise.race([
+    step(controller.signal),
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timeout ${ms}ms exceeded`);
+        controller.abort(error);
+        reject(error);
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Runs the steps and returns one `{ type, ok, ms, ... }` record per step.
+async function runActions(page, browser, actions, logDebug = () => {}) {
+  const stepTimeout = envInt("ACTION_STEP_TIMEOUT", 10000);
+  const context = { page, browser, logDebug, frame: null };
+  const results = [];
+  for (const [i, action] of (actions || []).entries()) {
+    const optional =
+      action.optional ??
+      OPTIONAL_BY_DEFAULT.includes(action.type);
+    const timeout = action.timeout ?? stepTimeout;
+    const started = Date.now();
+    logDebug(`[ACTION] ${action.type} ${JSON.stringify(action)}`);
+    try {
+      const result = await withTimeout(
+        (signal) => ACTIONS[action.type](context, action, timeout, signal),
+        // waitForSelector inside the step times out first
+        timeout + 1000,
+        `Action ${action.type}`,
+      );
+      const record = {
+        type: action.type,
+        ok: true,
+        ms: Date.now() - started,
+        ...(result || {}),
+      };
+      results.push(record);
+      logDebug(
+        `[ACTION] ${action.type} done in ${record.ms}ms${result ? ` ${JSON.stringify(result)}` : ""}`,
+      );
+    } catch (error) {
+      results.push({
+        type: action.type,
+        ok: false,
+        ms: Date.now() - started,
+        error: error.message,
+      });
+      if (!optional) {
+        error.message = `actions[${i}] ${action.type}: ${error.message}`;
+        throw error;
+      }
+      logDebug(
+        `[ACTION] ${action.type} error (non-fatal): ${error.message}`,
+      );
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  validateActions,
+  runActions,
+};
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const { envBool, envInt, envList } = require("./config");
+const { ScrapeError } = require("./errors");
+
+// ========================================================================
+// Archive Fallback Source
+// ========================================================================
+// When the live page fails, or is still paywalled once the retry policy
+// is used up, the request is answered from an archived copy instead, the
+// way getArchive() in contentScript.js and the getExtSrc handler in
+// background.js do inside the browser:
+//
+//   1. The endpoints in ARCHIVE_ENDPOINTS are tried in order. Each is a
+//      URL template where {url} is the page URL without query or hash.
+//      Default: the archive.today mirrors of archiveRandomDomain(),
+//      starting at a random one.
+//   2. An archive.today listing page is followed to its newest snapshot
+//      through the TEXT-BLOCK link; a listing without one means there is
+//      no snapshot. The mirror's /o/<id>/ link prefixes are removed.
+//   3. scrape.js loads the snapshot into a pooled page (scripts off) and
+//      extracts `archiveSelector` or the request's selector, falling back
+//      to article extraction (archive.today rewrites class names).
+//
+// A `local:<dir>` endpoint is a stand-in for tests and offline use: the
+// snapshot is read from <dir>/<encodeURIComponent(url)>.html, with the
+// URL again stripped of query and hash.
+//
+// Enabled per request or profile with `archiveFallback: true`, or for
+// every request with ARCHIVE_FALLBACK=1. Results are labelled with their
+// `source`: "live", or "archive:<endpoint host>" ("archive:local").
+// Each fetch times out after ARCHIVE_TIMEOUT (20000 ms) and the whole
+// lookup, listings included, after ARCHIVE_DEADLINE (45000 ms). scrape.js
+// fetches through a pooled page on the live scrape's proxy; without a
+// `fetchPage` Node's fetch is used.
+
+const ARCHIVE_MIRRORS = ["fo", "is", "li", "md", "ph", "vn"].map(
+  (tld) => `https://archive.${tld}/{url}`,
+);
+
+// Returns an error message when the fallback options are invalid.
+function validateArchiveFallback(spec) {
+  const { archiveFallback, archiveSelector } = spec;
+  if (archiveFallback !== undefined && typeof archiveFallback !== "boolean") {
+    return "archiveFallback must be a boolean";
+  }
+  if (archiveSelector !== undefined && typeof archiveSelector !== "string") {
+    return "archiveSelector must be a string";
+  }
+  return null;
+}
+
+function fallbackEnabled(spec) {
+  return spec.archiveFallback ?? envBool("ARCHIVE_FALLBACK");
+}
+
+// The configured endpoints, or every archive.today mirror starting at a
+// random one.
+function archiveEndpoints() {
+  const configured = envList("ARCHIVE_ENDPOINTS");
+  if (configured.length > 0) return configured;
+  const start = Math.floor(Math.random() * ARCHIVE_MIRRORS.length);
+  return ARCHIVE_MIRRORS.slice(start).concat(ARCHIVE_MIRRORS.slice(0, start));
+}
+
+// Source label for an endpoint: its host, or "local".
+function endpointName(endpoint) {
+  if (endpoint.startsWith("local:")) return "local";
+  try {
+    return new URL(endpoint.replace("{url}", "")).hostname;
+  } catch (e) {
+    return endpoint;
+  }
+}
+
+function stripUrl(url) {
+  return url.split(/[#?]/)[0];
+}
+
+function readLocalSnapshot(endpoint, url) {
+  const file = path.resolve(
+    endpoint.slice("local:".length),
+    `${encodeURIComponent(stripUrl(url))}.html`,
+  );
+  if (!fs.existsSync(file)) return null;
+  return { html: fs.readFileSync(file, "utf8"), snapshotUrl: `file://${file}` };
+}
+
+// The default `fetchPage(url, userAgent, timeout)`: resolves to `{ html,
+// finalUrl }`, or null on an error status.
+async function fetchDirect(url, userAgent, timeout) {
+  const response = await fetch(url, {
+    headers: userAgent ? { "User-Agent": userAgent } : {},
+    redirect: "follow",
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!response.ok) return null;
+  return { html: await response.text(), finalUrl: response.url || url };
+}
+
+// archive.today answers /<url> with a listing of snapshots
+function isListing(finalUrl) {
+  return new URL(finalUrl).pathname.startsWith("/http");
+}
+
+// `fetchPage(url)` is bound to the user agent and the lookup deadline.
+async function fetchSnapshot(endpoint, url, fetchPage, logDebug) {
+  const target = endpoint.replace("{url}", stripUrl(url));
+  let fetched = await fetchPage(target);
+  if (!fetched) return null;
+  if (fetched.html.includes('<div class="TEXT-BLOCK"')) {
+    const link = fetched.html
+      .split('<div class="TEXT-BLOCK"')[1]
+      .split("</div>")[0]
+      .match(/href="([^"]+)"/);
+    if (!link) return null;
+    logDebug(`[ARCHIVE] Following listing to snapshot ${link[1]}`);
+    fetched = await fetchPage(link[1]);
+    if (!fetched) return null;
+  } else if (isListing(fetched.finalUrl)) {
+    return null;
+  }
+  const origin = new URL(fetched.finalUrl).origin.replace(
+    /[.*+?^${}()|[\]\\/]/g,
+    "\\$&",
+  );
+  return {
+    html: fetched.html.replace(new RegExp(`${origin}/o/\\w+/`, "g"), ""),
+    snapshotUrl: fetched.finalUrl,
+  };
+}
+
+// Finds an archived copy of `spec.url`. Resolves to `{ html, snapshotUrl,
+// source }` from the first endpoint that has one.
+async function fetchArchived(
+  spec,
+  logDebug = () => {},
+  fetchPage = fetchDirect,
+) {
+  const timeout = envInt("ARCHIVE_TIMEOUT", 20000);
+  const deadlineMs = envInt("ARCHIVE_DEADLINE", 45000);
+  const deadline = Date.now() + deadlineMs;
+  const fetchWithin = (url) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new ScrapeError(
+        "TIMEOUT",
+        `Archive lookup exceeded ARCHIVE_DEADLINE (${deadlineMs} ms)`,
+        { phase: "archive" },
+      );
+    }
+    return fetchPage(url, spec.userAgent, Math.min(timeout, remaining));
+  };
+  const failures = [];
+  let timedOut = false;
+  for (const endpoint of archiveEndpoints()) {
+    const name = endpointName(endpoint);
+    if (Date.now() >= deadline) {
+      timedOut = true;
+      failures.push(`deadline of ${deadlineMs} ms reached before ${name}`);
+      break;
+    }
+    logDebug(`[ARCHIVE] Looking for an archived copy on ${name}...`);
+    try {
+      const snapshot = endpoint.startsWith("local:")
+        ? readLocalSnapshot(endpoint, spec.url)
+        : await fetchSnapshot(endpoint, spec.url, fetchWithin, logDebug);
+      if (snapshot) {
+        logDebug(`[ARCHIVE] Found snapshot ${snapshot.snapshotUrl}`);
+        return { ...snapshot, source: `archive:${name}` };
+      }
+      failures.push(`${name}: no snapshot`);
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+  throw new ScrapeError(
+    timedOut ? "TIMEOUT" : "CONTENT_NOT_FOUND",
+    `No archived copy found (${failures.join("; ")})`,
+    { phase: "archive" },
+  );
+}
+
+module.exports = {
+  validateArchiveFallback,
+  fallbackEnabled,
+  fetchArchived,
+};
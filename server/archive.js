@@ -0,0 +1,465 @@
+const crypto = require("crypto");
+const { envInt } = require("./config");
+
+// ========================================================================
+// Page Archives (`format: singlefile | mhtml | warc`)
+// ========================================================================
+// Archives capture the whole rendered page after the extensions, actions
+// and waits have run, so the copy matches what a reader saw:
+//
+//   singlefile  One self-contained HTML file: the rendered DOM without
+//               scripts, with stylesheets, images and fonts inlined as
+//               data: URIs from the browser's resource cache.
+//   mhtml       Chromium's own MHTML snapshot (Page.captureSnapshot).
+//   warc        WARC/1.1 records for every request/response exchange of
+//               the page load (headers and bodies), plus a `conversion`
+//               record holding the rendered DOM.
+//
+// Resource bodies are capped at ARCHIVE_MAX_BYTES in total; past that,
+// resources are linked by URL (singlefile) or truncated (warc, marked
+// with WARC-Truncated).
+
+const ARCHIVE_FORMATS = ["singlefile", "mhtml", "warc"];
+const INLINED_TYPES = ["Image", "Font", "Stylesheet"];
+
+function isArchiveFormat(format) {
+  return ARCHIVE_FORMATS.includes(format);
+}
+
+// ========================================================================
+// WARC
+// ========================================================================
+// Chromium hands out decoded bodies, so Content-Encoding and
+// Transfer-Encoding are dropped and Content-Length is rewritten to match
+// the stored payload.
+const DROPPED_HEADERS = [
+  "content-encoding",
+  "transfer-encoding",
+  "content-length",
+];
+// Credentials of the browsing session, never written to the archive.
+const REDACTED_HEADERS = [
+  "cookie",
+  "set-cookie",
+  "authorization",
+  "proxy-authorization",
+];
+
+// `headers` with the values of REDACTED_HEADERS replaced.
+function redactHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      REDACTED_HEADERS.includes(name.toLowerCase()) ? "[redacted]" : value,
+    ]),
+  );
+}
+
+function warcDate(time = Date.now()) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function recordId() {
+  return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+function warcRecord(fields, block) {
+  const head = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\r\n");
+  return Buffer.concat([
+    Buffer.from(
+      `WARC/1.1\r\n${head}\r\nContent-Length: ${block.length}\r\n\r\n`,
+    ),
+    block,
+    Buffer.from("\r\n\r\n"),
+  ]);
+}
+
+function httpHeaderBlock(startLine, headers) {
+  const lines = Object.entries(headers).flatMap(([name, value]) =>
+    // Puppeteer joins repeated headers (e.g. set-cookie) with "\n"
+    String(value)
+      .split("\n")
+      .map((v) => `${name}: ${v}`),
+  );
+  return `${startLine}\r\n${lines.join("\r\n")}\r\n\r\n`;
+}
+
+// Starts recording the page's network exchanges. Must be called before
+// navigation; `stop()` resolves to the recorded exchanges.
+function startWarcRecorder(page, logDebug = () => {}) {
+  const maxBytes = envInt("ARCHIVE_MAX_BYTES", 50 * 1024 * 1024);
+  const exchanges = [];
+  const pending = new Set();
+  let totalBytes = 0;
+
+  const onFinished = (request) => {
+    const response = request.response();
+    if (!response || request.url().startsWith("data:")) return;
+    const exchange = {
+      url: request.url(),
+      method: request.method(),
+      requestHeaders: request.headers(),
+      postData: request.postData() || null,
+      status: response.status(),
+      statusText: response.statusText(),
+      responseHeaders: response.headers(),
+      remoteAddress: response.remoteAddress(),
+      time: Date.now(),
+      body: Buffer.alloc(0),
+      truncated: false,
+    };
+    exchanges.push(exchange);
+    if (totalBytes >= maxBytes) {
+      // The budget is used up: the body is not even read
+      exchange.truncated = true;
+      return;
+    }
+    const reading = response
+      .buffer()
+      .then((body) => {
+        const room = Math.max(0, maxBytes - totalBytes);
+        if (body.length > room) {
+          exchange.truncated = true;
+          // A copy, so the full response buffer can be freed
+          body = Buffer.from(body.subarray(0, room));
+        }
+        totalBytes += body.length;
+        exchange.body = body;
+      })
+      .catch(() => {
+        // Redirects and evicted resources have no body
+      })
+      .finally(() => pending.delete(reading));
+    pending.add(reading);
+  };
+  page.on("requestfinished", onFinished);
+
+  return {
+    async stop() {
+      page.off("requestfinished", onFinished);
+      await Promise.all([...pending]);
+      logDebug(
+        `[ARCHIVE] Recorded ${exchanges.length} exchanges (${totalBytes} bytes).`,
+      );
+      return exchanges;
+    },
+  };
+}
+
+function buildWarc(exchanges, rendered) {
+  const records = [];
+  const info = Buffer.from(
+    [
+      "software: server-optimus (puppeteer)",
+      "format: WARC File Format 1.1",
+      `isPartOf: ${rendered.url}`,
+    ].join("\r\n") + "\r\n",
+  );
+  records.push(
+    warcRecord(
+      {
+        "WARC-Type": "warcinfo",
+        "WARC-Record-ID": recordId(),
+        "WARC-Date": warcDate(),
+        "Content-Type": "application/warc-fields",
+      },
+      info,
+    ),
+  );
+
+  let mainResponseId = null;
+  for (const exchange of exchanges) {
+    const date = warcDate(exchange.time);
+    const responseId = recordId();
+    const url = new URL(exchange.url);
+    const requestHeaders = redactHeaders({
+      host: url.host,
+      ...exchange.requestHeaders,
+    });
+    const requestBlock = Buffer.concat([
+      Buffer.from(
+        httpHeaderBlock(
+          `${exchange.method} ${url.pathname}${url.search} HTTP/1.1`,
+          requestHeaders,
+        ),
+      ),
+      Buffer.from(exchange.postData || ""),
+    ]);
+    const responseHeaders = redactHeaders(
+      Object.fromEntries(
+        Object.entries(exchange.responseHeaders).filter(
+          ([name]) => !DROPPED_HEADERS.includes(name.toLowerCase()),
+        ),
+      ),
+    );
+    responseHeaders["content-length"] = String(exchange.body.length);
+    const responseBlock = Buffer.concat([
+      Buffer.from(
+        httpHeaderBlock(
+          `HTTP/1.1 ${exchange.status} ${exchange.statusText}`.trim(),
+          responseHeaders,
+        ),
+      ),
+      exchange.body,
+    ]);
+
+    records.push(
+      warcRecord(
+        {
+          "WARC-Type": "response",
+          "WARC-Record-ID": responseId,
+          "WARC-Date": date,
+          "WARC-Target-URI": exchange.url,
+          "WARC-IP-Address": exchange.remoteAddress
+            ? exchange.remoteAddress.ip
+            : null,
+          "WARC-Truncated": exchange.truncated ? "length" : null,
+          "Content-Type": "application/http;msgtype=response",
+        },
+        responseBlock,
+      ),
+    );
+    records.push(
+      warcRecord(
+        {
+          "WARC-Type": "request",
+          "WARC-Record-ID": recordId(),
+          "WARC-Date": date,
+          "WARC-Target-URI": exchange.url,
+          "WARC-Concurrent-To": responseId,
+          "Content-Type": "application/http;msgtype=request",
+        },
+        requestBlock,
+      ),
+    );
+    if (exchange.url === rendered.url && !mainResponseId) {
+      mainResponseId = responseId;
+    }
+  }
+
+  records.push(
+    warcRecord(
+      {
+        "WARC-Type": "conversion",
+        "WARC-Record-ID": recordId(),
+        "WARC-Date": warcDate(),
+        "WARC-Target-URI": rendered.url,
+        "WARC-Refers-To": mainResponseId,
+        "Content-Type": "text/html; charset=utf-8",
+      },
+      Buffer.from(rendered.html),
+    ),
+  );
+  return Buffer.concat(records);
+}
+
+// ========================================================================
+// Single-file HTML
+// ========================================================================
+
+// Reads images, fonts and stylesheets from the browser's resource cache.
+// Returns `{ dataUris: { url: "data:..." }, styles: { url: cssText } }`.
+async function collectResources(page, logDebug) {
+  const maxBytes = envInt("ARCHIVE_MAX_BYTES", 50 * 1024 * 1024);
+  const session = await page.createCDPSession();
+  const dataUris = {};
+  const styles = {};
+  let totalBytes = 0;
+  try {
+    const { frameTree } = await session.send("Page.getResourceTree");
+    const visit = async (tree) => {
+      for (const resource of tree.resources) {
+        if (!INLINED_TYPES.includes(resource.type)) continue;
+        if (resource.url.startsWith("data:")) continue;
+        let content;
+        try {
+          content = await session.send("Page.getResourceContent", {
+            frameId: tree.frame.id,
+            url: resource.url,
+          });
+        } catch (e) {
+          continue;
+        }
+        const bytes = content.base64Encoded
+          ? Buffer.from(content.content, "base64")
+          : Buffer.from(content.content);
+        if (totalBytes + bytes.length > maxBytes) {
+          logDebug(`[ARCHIVE] Size cap reached, linking ${resource.url}`);
+          continue;
+        }
+        totalBytes += bytes.length;
+        if (resource.type === "Stylesheet") {
+          styles[resource.url] = bytes.toString("utf8");
+        } else {
+          dataUris[resource.url] =
+            `data:${resource.mimeType};base64,${bytes.toString("base64")}`;
+        }
+      }
+      for (const child of tree.childFrames || []) await visit(child);
+    };
+    await visit(frameTree);
+  } finally {
+    await session.detach().catch(() => {});
+  }
+  logDebug(
+    `[ARCHIVE] Inlining ${Object.keys(dataUris).length} assets and ${Object.keys(styles).length} stylesheets (${totalBytes} bytes).`,
+  );
+  return { dataUris, styles };
+}
+
+// Runs in the browser: serializes the rendered page as one HTML file.
+// Must stay self-contained.
+function inlinePage(dataUris, styles, archivedAt) {
+  const abs = (url, base) => {
+    try {
+      return new URL(url, base || document.baseURI).href;
+    } catch (e) {
+      return url;
+    }
+  };
+  const asset = (url, base) => {
+    const resolved = abs(url, base);
+    return dataUris[resolved] || resolved;
+  };
+  const rewriteCss = (css, base) =>
+    css
+      .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) =>
+        url.startsWith("data:") ? match : `url("${asset(url, base)}")`,
+      )
+      .replace(/@import\s+(['"])([^'"]+)\1/g, (match, quote, url) =>
+        `@import url("${abs(url, base)}")`,
+      );
+
+  // Parse a copy, so nothing is loaded or run while rewriting
+  const liveImages = [...document.querySelectorAll("img")];
+  const doc = new DOMParser().parseFromString(
+    document.documentElement.outerHTML,
+    "text/html",
+  );
+
+  doc
+    .querySelectorAll(
+      'script, noscript, base, link[rel~="preload"], link[rel~="modulepreload"], link[rel~="prefetch"], meta[http-equiv="Content-Security-Policy" i]',
+    )
+    .forEach((el) => el.remove());
+
+  doc.querySelectorAll('link[rel~="stylesheet"]').forEach((link) => {
+    const href = abs(link.getAttribute("href"));
+    let css = styles[href];
+    if (css === undefined) {
+      // Not in the resource cache: read the CSSOM when same-origin
+      const sheet = [...document.styleSheets].find((s) => s.href === href);
+      try {
+        css = [...sheet.cssRules].map((r) => r.cssText).join("\n");
+      } catch (e) {
+        link.setAttribute("href", href);
+        return;
+      }
+    }
+    const style = doc.createElement("style");
+    if (link.media) style.media = link.media;
+    style.textContent = rewriteCss(css, href);
+    link.replaceWith(style);
+  });
+  doc.querySelectorAll("style").forEach((style) => {
+    if (!style.textContent.includes("url(")) return;
+    style.textContent = rewriteCss(style.textContent);
+  });
+  doc.querySelectorAll("[style]").forEach((el) => {
+    el.setAttribute("style", rewriteCss(el.getAttribute("style")));
+  });
+
+  // <img> in document order matches the live page: use what it displays
+  doc.querySelectorAll("img").forEach((img, i) => {
+    const live = liveImages[i];
+    const src = (live && live.currentSrc) || img.getAttribute("src");
+    if (src) img.setAttribute("src", asset(src));
+    img.removeAttribute("srcset");
+    img.removeAttribute("sizes");
+    img.removeAttribute("loading");
+  });
+  doc.querySelectorAll("picture source").forEach((el) => el.remove());
+  doc
+    .querySelectorAll("video[src], audio[src], source[src], iframe[src]")
+    .forEach((el) => el.setAttribute("src", abs(el.getAttribute("src"))));
+  doc.querySelectorAll("video[poster]").forEach((el) => {
+    el.setAttribute("poster", asset(el.getAttribute("poster")));
+  });
+  doc.querySelectorAll("a[href]").forEach((a) => {
+    a.setAttribute("href", abs(a.getAttribute("href")));
+  });
+  doc.querySelectorAll("*").forEach((el) => {
+    for (const attr of [...el.attributes]) {
+      if (/^on/i.test(attr.name)) el.removeAttribute(attr.name);
+    }
+  });
+
+  if (!doc.querySelector("meta[charset]")) {
+    const meta = doc.createElement("meta");
+    meta.setAttribute("charset", "utf-8");
+    doc.head.prepend(meta);
+  }
+  const source = document.location.href.replace(/--/g, "%2D%2D");
+  return (
+    "<!DOCTYPE html>\n" +
+    `<!-- Archived from ${source} at ${archivedAt} -->\n` +
+    doc.documentElement.outerHTML
+  );
+}
+
+// ========================================================================
+// Archive Entry Point
+// ========================================================================
+
+// Archives the loaded page. `recorder` is the startWarcRecorder() handle
+// for the warc format. Resolves to `{ contentType, data[, encoding] }`.
+async function archivePage(page, spec, recorder, logDebug = () => {}) {
+  switch (spec.format) {
+    case "singlefile": {
+      const { dataUris, styles } = await collectResources(page, logDebug);
+      const html = await page.evaluate(
+        inlinePage,
+        dataUris,
+        styles,
+        new Date().toISOString(),
+      );
+      return { contentType: "text/html", data: html };
+    }
+    case "mhtml": {
+      const session = await page.createCDPSession();
+      try {
+        const { data } = await session.send("Page.captureSnapshot", {
+          format: "mhtml",
+        });
+        logDebug(`[ARCHIVE] MHTML snapshot: ${data.length} chars.`);
+        return { contentType: "multipart/related", data };
+      } finally {
+        await session.detach().catch(() => {});
+      }
+    }
+    case "warc": {
+      const exchanges = await recorder.stop();
+      const warc = buildWarc(exchanges, {
+        url: page.url(),
+        html: await page.content(),
+      });
+      logDebug(`[ARCHIVE] WARC: ${warc.length} bytes.`);
+      return {
+        contentType: "application/warc",
+        data: warc.toString("base64"),
+        encoding: "base64",
+      };
+    }
+  }
+  throw new Error(`Unsupported archive format "${spec.format}"`);
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  isArchiveFormat,
+  startWarcRecorder,
+  archivePage,
+};
@@ -0,0 +1,280 @@
+// ========================================================================
+// Article Extraction (`method: "article"`)
+// ========================================================================
+// Readability-style main-content extraction, run inside the page after
+// the extension has done its work. Falls back to the articleBody of a
+// script[type="application/ld+json"] block (located the same way as
+// getArticleJsonScript/findKeyJson in contentScript.js) when the DOM
+// yields less text than the JSON.
+
+const { ScrapeError } = require("./errors");
+
+// Runs in the browser: must stay self-contained.
+function extractArticleInPage(options) {
+  const minTextLength = options.minTextLength;
+
+  const meta = (...selectors) => {
+    for (const sel of selectors) {
+      const elem = document.querySelector(sel);
+      if (!elem) continue;
+      const value =
+        elem.getAttribute("content") ||
+        elem.getAttribute("datetime") ||
+        elem.textContent;
+      if (value && value.trim()) return value.trim();
+    }
+    return null;
+  };
+
+  const absUrl = (url) => {
+    try {
+      return url ? new URL(url, document.baseURI).href : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // --- ld+json (same matching as contentScript.js) ---
+  const matchKeyJson = (key, keys) => keys.test(key);
+  const findKeyJson = (json, keys, min_val_len = 0) => {
+    let source = "";
+    if (Array.isArray(json)) {
+      for (const elem of json)
+        source = source || findKeyJson(elem, keys, min_val_len);
+    } else if (json && typeof json === "object") {
+      for (const elem in json) {
+        const json_elem = json[elem];
+        if (typeof json_elem === "string" && matchKeyJson(elem, keys)) {
+          if (json_elem.length > min_val_len) return json_elem;
+        } else source = source || findKeyJson(json_elem, keys, min_val_len);
+      }
+    }
+    return source;
+  };
+
+  let ldArticle = null;
+  let ldBody = "";
+  for (const script of document.querySelectorAll(
+    'script[type="application/ld+json"]',
+  )) {
+    if (!script.textContent.match(/"(articlebody|text)":/i)) continue;
+    try {
+      const json = JSON.parse(script.textContent);
+      const body = findKeyJson(json, /^(articlebody|text)$/i, 100);
+      if (body && body.length > ldBody.length) {
+        ldBody = body;
+        const items = [].concat(json["@graph"] || json);
+        ldArticle =
+          items.find((x) => x && findKeyJson(x, /^(articlebody|text)$/i)) ||
+          items[0];
+      }
+    } catch (e) {
+      // invalid JSON in the page, ignore
+    }
+  }
+  const ldAuthor = (author) => {
+    if (!author) return null;
+    return []
+      .concat(author)
+      .map((a) => (typeof a === "string" ? a : a && a.name))
+      .filter(Boolean)
+      .join(", ");
+  };
+  const ldImage = (image) => {
+    if (!image) return null;
+    const first = [].concat(image)[0];
+    return typeof first === "string" ? first : first && first.url;
+  };
+
+  // --- Metadata ---
+  const title =
+    meta('meta[property="og:title"]', 'meta[name="twitter:title"]') ||
+    (ldArticle && ldArticle.headline) ||
+    meta("article h1", "h1") ||
+    document.title;
+  const byline =
+    meta(
+      'meta[name="author"]',
+      'meta[property="article:author"]',
+      '[itemprop="author"] [itemprop="name"]',
+      '[rel="author"]',
+      '[class*="byline"]',
+    ) || ldAuthor(ldArticle && ldArticle.author);
+  const publishedAt =
+    meta(
+      'meta[property="article:published_time"]',
+      'meta[itemprop="datePublished"]',
+      'meta[name="date"]',
+      "time[datetime]",
+    ) ||
+    (ldArticle && ldArticle.datePublished) ||
+    null;
+  const leadImage = absUrl(
+    meta('meta[property="og:image"]', 'meta[name="twitter:image"]') ||
+      ldImage(ldArticle && ldArticle.image),
+  );
+  const siteName = meta('meta[property="og:site_name"]');
+
+  // --- Main content scoring ---
+  const unlikely =
+    /comment|share|social|related|recommend|promo|newsletter|subscribe|paywall|sidebar|footer|header|menu|nav|banner|advert|sponsor|cookie|consent|popup|modal/i;
+  const likely = /article|body|content|entry|main|post|story|text/i;
+  const removeSel =
+    "script, style, noscript, iframe, form, nav, aside, footer, button, input, select, textarea, svg, [hidden], [aria-hidden='true']";
+
+  const root = document.body.cloneNode(true);
+  root.querySelectorAll(removeSel).forEach((e) => e.remove());
+  for (const elem of [...root.querySelectorAll("*")]) {
+    const tag = elem.tagName;
+    if (tag === "BODY" || tag === "ARTICLE" || tag === "MAIN") continue;
+    const hint = (elem.className || "") + " " + (elem.id || "");
+    if (unlikely.test(hint) && !likely.test(hint) && root.contains(elem))
+      elem.remove();
+  }
+
+  const classWeight = (elem) => {
+    const hint = (elem.className || "") + " " + (elem.id || "");
+    let weight = 0;
+    if (likely.test(hint)) weight += 25;
+    if (unlikely.test(hint)) weight -= 25;
+    return weight;
+  };
+  const linkDensity = (elem) => {
+    const textLength = elem.textContent.length || 1;
+    let linkLength = 0;
+    elem.querySelectorAll("a").forEach((a) => {
+      linkLength += a.textContent.length;
+    });
+    return linkLength / textLength;
+  };
+
+  const scores = new Map();
+  const addScore = (elem, score) => {
+    if (!elem || elem === root.parentNode) return;
+    if (!scores.has(elem)) scores.set(elem, classWeight(elem));
+    scores.set(elem, scores.get(elem) + score);
+  };
+  root.querySelectorAll("p, pre, td, blockquote").forEach((p) => {
+    const text = p.textContent.trim();
+    if (text.length < 25) return;
+    const score =
+      1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(p.parentElement, score);
+    if (p.parentElement) addScore(p.parentElement.parentElement, score / 2);
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [elem, score] of scores) {
+    const adjusted = score * (1 - linkDensity(elem));
+    scores.set(elem, adjusted);
+    if (adjusted > topScore) {
+      top = elem;
+      topScore = adjusted;
+    }
+  }
+
+  let content = null;
+  if (top) {
+    content = document.createElement("div");
+    const threshold = Math.max(10, topScore * 0.2);
+    const siblings = top.parentElement
+      ? [...top.parentElement.children]
+      : [top];
+    for (const sibling of siblings) {
+      const keep =
+        sibling === top ||
+        (scores.get(sibling) || 0) >= threshold ||
+        (sibling.tagName === "P" &&
+          sibling.textContent.trim().length > 80 &&
+          linkDensity(sibling) < 0.25);
+      if (keep) content.appendChild(sibling.cloneNode(true));
+    }
+
+    // Clean up: absolute URLs, minimal attributes, no empty nodes
+    const keepAttrs = ["href", "src", "alt", "title", "datetime"];
+    content.querySelectorAll("*").forEach((elem) => {
+      for (const attr of [...elem.attributes]) {
+        if (!keepAttrs.includes(attr.name)) elem.removeAttribute(attr.name);
+      }
+      if (elem.hasAttribute("href"))
+        elem.setAttribute("href", absUrl(elem.getAttribute("href")) || "");
+      if (elem.hasAttribute("src"))
+        elem.setAttribute("src", absUrl(elem.getAttribute("src")) || "");
+    });
+    content.querySelectorAll("div, span, p, section").forEach((elem) => {
+      if (!elem.textContent.trim() && !elem.querySelector("img, figure, video"))
+        elem.remove();
+    });
+  }
+
+  // innerText ignores block layout on detached nodes, so break lines
+  // after block elements by hand.
+  const toText = (elem) => {
+    const clone = elem.cloneNode(true);
+    clone
+      .querySelectorAll("p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, figcaption, br, div")
+      .forEach((e) => e.after(document.createTextNode("\n\n")));
+    return clone.textContent
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  };
+
+  let html = content ? content.innerHTML.trim() : "";
+  let text = content ? toText(content) : "";
+  let source = "dom";
+
+  if (ldBody && (text.length < minTextLength || text.length < ldBody.length * 0.5)) {
+    // An inert document, so markup in the JSON cannot run handlers
+    const div = document.implementation
+      .createHTMLDocument("")
+      .createElement("div");
+    div.innerHTML = ldBody;
+    text = (div.textContent || "").trim();
+    html = text
+      .split(/\n+/)
+      .map((par) => par.trim())
+      .filter(Boolean)
+      .map((par) => {
+        const p = document.createElement("p");
+        p.textContent = par;
+        return p.outerHTML;
+      })
+      .join("\n");
+    source = "ld+json";
+  }
+
+  if (!text) return null;
+
+  return {
+    title: title ? title.trim() : null,
+    byline,
+    publishedAt,
+    leadImage,
+    siteName,
+    lang: document.documentElement.lang || null,
+    html,
+    text,
+    length: text.length,
+    source,
+  };
+}
+
+// Extracts the main article from `page`. Throws when no content is found.
+async function extractArticle(page, options = {}) {
+  const article = await page.evaluate(extractArticleInPage, {
+    minTextLength: options.minTextLength ?? 250,
+  });
+  if (!article) {
+    throw new ScrapeError(
+      "CONTENT_NOT_FOUND",
+      "Article extraction failed: no main content found",
+    );
+  }
+  return article;
+}
+
+module.exports = {
+  extractArticle,
+};
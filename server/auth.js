@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { envBool, envInt } = require("./config");
+const { matchUrlDomain } = require("./profiles");
+
+// ========================================================================
+// API Key Authentication and Quotas
+// ========================================================================
+// Keys come from API_KEYS_FILE, a JSON object keyed by API key:
+//
+//   {
+//     "k-123": {
+//       "name": "feed-importer",
+//       "rateLimit": { "requests": 120, "per": 60000 },
+//       "maxConcurrent": 4,
+//       "allowedDomains": ["nytimes.com", "wsj.com"],
+//       "customProxies": false
+//     }
+//   }
+//
+// and/or API_KEYS, a comma-separated list of `key` or `name:key` entries
+// that get the defaults (RATE_LIMIT_REQUESTS per RATE_LIMIT_WINDOW ms,
+// MAX_CONCURRENT_PER_KEY, any domain). Clients send the key as
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`. Only keys with
+// `customProxies: true` may send a `proxy` that is not in the pool.
+//
+// With no keys configured authentication is off, unless AUTH_REQUIRED is
+// set, in which case every protected request is refused. Custom proxies
+// are then allowed with ALLOW_CUSTOM_PROXIES.
+
+class ApiKeyStore {
+  constructor() {
+    this.keys = new Map();
+    this.required = envBool("AUTH_REQUIRED", false);
+  }
+
+  load() {
+    this.keys = new Map();
+    const defaults = {
+      rateLimit: {
+        requests: envInt("RATE_LIMIT_REQUESTS", 60),
+        per: envInt("RATE_LIMIT_WINDOW", 60000),
+      },
+      maxConcurrent: envInt("MAX_CONCURRENT_PER_KEY", 2),
+      allowedDomains: null,
+    };
+
+    if (process.env.API_KEYS_FILE) {
+      try {
+        const file = JSON.parse(
+          fs.readFileSync(process.env.API_KEYS_FILE, "utf8"),
+        );
+        for (const [key, options] of Object.entries(file)) {
+          this.add(key, { ...defaults, ...options });
+        }
+      } catch (e) {
+        console.error(
+          `[AUTH] Failed to read ${process.env.API_KEYS_FILE}: ${e.message}`,
+        );
+      }
+    }
+    for (const entry of (process.env.API_KEYS || "").split(",")) {
+      const trimmed = entry.trim();
+      if (!trimmed) continue;
+      const sep = trimmed.indexOf(":");
+      const name = sep > 0 ? trimmed.slice(0, sep) : null;
+      const key = sep > 0 ? trimmed.slice(sep + 1) : trimmed;
+      this.add(key, { ...defaults, name });
+    }
+
+    if (this.enabled()) {
+      console.log(`[AUTH] Loaded ${this.keys.size} API keys.`);
+    } else if (this.required) {
+      console.warn(
+        "[AUTH] AUTH_REQUIRED is set but no API keys are configured: all requests will be refused.",
+      );
+    } else {
+      console.warn(
+        "[AUTH] No API keys configured: authentication is disabled.",
+      );
+    }
+  }
+
+  add(key, options) {
+    const name =
+      options.name ||
+      `key-${crypto.createHash("sha256").update(key).digest("hex").slice(0, 8)}`;
+    this.keys.set(key, {
+      name,
+      rateLimit: options.rateLimit,
+      maxConcurrent: options.maxConcurrent,
+      allowedDomains: options.allowedDomains || null,
+      customProxies: options.customProxies === true,
+      // token bucket for the rate limit
+      tokens: options.rateLimit.requests,
+      refilledAt: Date.now(),
+      active: 0,
+    });
+  }
+
+  enabled() {
+    return this.keys.size > 0 || this.required;
+  }
+
+  lookup(key) {
+    return key ? this.keys.get(key) || null : null;
+  }
+}
+
+function extractKey(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return req.get("x-api-key") || null;
+}
+
+// Express middleware: rejects requests without a valid key (401) and
+// attaches the key record to `req.apiKey`. `exempt` is a list of open
+// paths, or a function of the request that returns true when it is open.
+function authenticate(store, exempt = []) {
+  const isExempt =
+    typeof exempt === "function" ? exempt : (req) => exempt.includes(req.path);
+  return (req, res, next) => {
+    if (!store.enabled() || isExempt(req)) return next();
+    const record = store.lookup(extractKey(req));
+    if (!record) {
+      return res
+        .status(401)
+        .set("WWW-Authenticate", "Bearer")
+        .json({ error: "Missing or invalid API key" });
+    }
+    req.apiKey = record;
+    next();
+  };
+}
+
+// Takes `cost` tokens from the key's bucket. Returns 0 when allowed, or
+// the number of ms until enough tokens are available. Callers check
+// exceedsRateLimit first: a cost above the bucket size never fits.
+function consumeRate(record, cost = 1) {
+  const { requests, per } = record.rateLimit;
+  if (!requests || !per) return 0;
+  const now = Date.now();
+  const refill = ((now - record.refilledAt) / per) * requests;
+  record.tokens = Math.min(requests, record.tokens + refill);
+  record.refilledAt = now;
+  if (record.tokens >= cost) {
+    record.tokens -= cost;
+    return 0;
+  }
+  return Math.ceil(((cost - record.tokens) / requests) * per);
+}
+
+// True when `cost` requests can never fit in the key's rate limit window.
+function exceedsRateLimit(record, cost) {
+  const { requests, per } = record.rateLimit;
+  return !!requests && !!per && cost > requests;
+}
+
+// Reserves a concurrency slot. Returns a release function, or null when
+// the key already has `maxConcurrent` scrapes in flight.
+function acquireSlot(record) {
+  if (record.maxConcurrent && record.active >= record.maxConcurrent) {
+    return null;
+  }
+  record.active++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    record.active--;
+  };
+}
+
+function isDomainAllowed(record, url) {
+  if (!record || !record.allowedDomains) return true;
+  return !!matchUrlDomain(record.allowedDomains, url);
+}
+
+// True when the key may send the request `proxy` override: a pool proxy,
+// or any with the customProxies permission.
+function isProxyAllowed(record, proxies, proxy) {
+  if (!proxies || proxies.includes(proxy)) return true;
+  return record
+    ? record.customProxies
+    : envBool("ALLOW_CUSTOM_PROXIES", false);
+}
+
+// Applies the key's rate limit (`cost` requests) and concurrency quota.
+// Sends 429 and returns null when over a limit (413 when `cost` is larger
+// than the whole window allows); otherwise returns the release function
+// for the concurrency slot (a no-op without auth).
+function enforceQuota(req, res, cost = 1) {
+  const record = req.apiKey;
+  if (!record) return () => {};
+  if (exceedsRateLimit(record, cost)) {
+    res.status(413).json({
+      error: `Batch of ${cost} items exceeds the rate limit of ${record.rateLimit.requests} requests per ${record.rateLimit.per} ms; split it into smaller batches`,
+      limit: record.rateLimit,
+    });
+    return null;
+  }
+  // The slot comes first: a request refused for concurrency keeps its
+  // rate limit tokens
+  const release = acquireSlot(record);
+  if (!release) {
+    res.status(429).set("Retry-After", "1").json({
+      error: "Too many concurrent requests",
+      maxConcurrent: record.maxConcurrent,
+    });
+    return null;
+  }
+  const retryAfter = consumeRate(record, cost);
+  if (retryAfter > 0) {
+    release();
+    res
+      .status(429)
+      .set("Retry-After", String(Math.ceil(retryAfter / 1000)))
+      .json({
+        error: "Rate limit exceeded",
+        limit: record.rateLimit,
+        retryAfterMs: retryAfter,
+      });
+    return null;
+  }
+  return release;
+}
+
+// Sends 403 and returns false when the key may not scrape `url`.
+function enforceDomain(req, res, url) {
+  if (isDomainAllowed(req.apiKey, url)) return true;
+  res.status(403).json({
+    error: `Domain not allowed for this API key: ${url}`,
+  });
+  return false;
+}
+
+// Sends 403 and returns false when the key may not use the request's
+// `proxy` override.
+function enforceProxy(req, res, proxies, proxy) {
+  if (isProxyAllowed(req.apiKey, proxies, proxy)) return true;
+  res.status(403).json({
+    error: "Proxy not in the pool; custom proxies are not allowed for this API key",
+  });
+  return false;
+}
+
+module.exports = {
+  ApiKeyStore,
+  authenticate,
+  enforceQuota,
+  enforceDomain,
+  enforceProxy,
+  isDomainAllowed,
+  isProxyAllowed,
+};
@@ -0,0 +1,172 @@
+const { envInt } = require("./config");
+const { classifyError, errorBody } = require("./errors");
+const { runScrape, validateScrapeSpec } = require("./scrape");
+const { resolveScrapeSpec } = require("./profiles");
+
+// ========================================================================
+// Batch Scraping
+// ========================================================================
+
+// Runs `fn(item, index)` over `items` with at most `limit` calls in
+// flight. `onResult(result, index)` is called as each one settles.
+async function mapWithConcurrency(items, limit, fn, onResult) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const result = await fn(items[index], index);
+      await onResult(result, index);
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+}
+
+// Normalises a batch request body into a list of scrape specs. Top-level
+// `selector`, `method`, `format` and `debug` act as defaults for every item.
+// Returns `{ items }` or `{ error }`.
+function parseBatchRequest(body) {
+  const rawItems = Array.isArray(body) ? body : body && body.items;
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { error: "Missing required field: items (non-empty array)" };
+  }
+  const maxItems = envInt("BATCH_MAX_ITEMS", 500);
+  if (rawItems.length > maxItems) {
+    return {
+      error: `Too many items: ${rawItems.length} (max ${maxItems})`,
+    };
+  }
+  const defaults = Array.isArray(body)
+    ? {}
+    : {
+        selector: body.selector,
+        method: body.method,
+        format: body.format,
+        debug: body.debug,
+      };
+  const items = rawItems.map((item) => {
+    const spec = typeof item === "string" ? { url: item } : item;
+    const merged = { ...spec };
+    for (const key of Object.keys(defaults)) {
+      if (merged[key] === undefined && defaults[key] !== undefined) {
+        merged[key] = defaults[key];
+      }
+    }
+    return merged;
+  });
+  return { items };
+}
+
+// Picks the concurrency for a batch: the requested value, capped by
+// BATCH_MAX_CONCURRENCY.
+function batchConcurrency(requested) {
+  const max = envInt("BATCH_MAX_CONCURRENCY", 4);
+  const value = parseInt(requested, 10);
+  if (Number.isNaN(value) || value < 1) return max;
+  return Math.min(value, max);
+}
+
+// Resolves every item against the site profiles and validates it, so a
+// bad item is known before the batch takes a concurrency slot. Returns
+// `{ spec, error, proxy }` per item, `error` being the validation message
+// and `proxy` the item's own proxy override (profiles' are trusted).
+function prepareBatchItems(profiles, items) {
+  return items.map((item) => {
+    const spec = resolveScrapeSpec(profiles, item);
+    return { spec, error: validateScrapeSpec(spec), proxy: item.proxy };
+  });
+}
+
+// Scrapes every prepared item (see prepareBatchItems) and reports one
+// result object per item. A failing
+// item never aborts the batch; its error is reported in its result.
+// Items not yet started when `isAborted()` turns true are skipped, and
+// items whose URL fails `isAllowed(url)` or whose proxy override fails
+// `isProxyAllowed(proxy)` are reported as 403.
+async function runBatch(services, prepared, options, onResult) {
+  const {
+    concurrency,
+    logDebug = () => {},
+    isAborted = () => false,
+    isAllowed = () => true,
+    isProxyAllowed = () => true,
+  } = options;
+  await mapWithConcurrency(
+    prepared,
+    concurrency,
+    async ({ spec, error: validationError, proxy }, index) => {
+      if (isAborted()) return null;
+      const base = { index, url: spec.url, profile: spec.profile };
+      if (validationError) {
+        return {
+          ...base,
+          ok: false,
+          statusCode: 400,
+          error: { error: validationError },
+        };
+      }
+      if (!isAllowed(spec.url)) {
+        return {
+          ...base,
+          ok: false,
+          statusCode: 403,
+          error: {
+            error: `Domain not allowed for this API key: ${spec.url}`,
+          },
+        };
+      }
+      if (!isProxyAllowed(proxy)) {
+        return {
+          ...base,
+          ok: false,
+          statusCode: 403,
+          error: {
+            error:
+              "Proxy not in the pool; custom proxies are not allowed for this API key",
+          },
+        };
+      }
+      try {
+        const result = await runScrape(services, spec, logDebug);
+        return {
+          ...base,
+          ok: true,
+          statusCode: 200,
+          contentType: result.contentType,
+          data: result.data,
+          ...(result.encoding ? { encoding: result.encoding } : {}),
+          ...(result.detection ? { detection: result.detection } : {}),
+          ...(result.source ? { source: result.source } : {}),
+          ...(result.attempts ? { attempts: result.attempts } : {}),
+          ...(result.frame ? { frame: result.frame } : {}),
+          ...(result.extension ? { extension: result.extension } : {}),
+        };
+      } catch (error) {
+        console.error(
+          `[BATCH] Item ${index} (${spec.url}) failed:`,
+          error.message,
+        );
+        return {
+          ...base,
+          ok: false,
+          statusCode: classifyError(error),
+          error: errorBody(error, !!spec.debug),
+        };
+      }
+    },
+    async (result, index) => {
+      if (result) await onResult(result, index);
+    },
+  );
+}
+
+module.exports = {
+  mapWithConcurrency,
+  parseBatchRequest,
+  batchConcurrency,
+  prepareBatchItems,
+  runBatch,
+};
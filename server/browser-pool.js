@@ -0,0 +1,560 @@
+const puppeteer = require("puppeteer-core");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  envInt,
+  envBool,
+  getExecutablePath,
+  getExtensionPaths,
+} = require("./config");
+const { recordLaunch } = require("./metrics");
+const { ScrapeError } = require("./errors");
+const { writeAutomationSeed } = require("./extension");
+
+// ========================================================================
+// Browser Launch Options
+// ========================================================================
+function buildLaunchArgs(proxy = null, logDebug = () => {}) {
+  let extensionArgs = [];
+  const extensionPaths = getExtensionPaths();
+  if (extensionPaths.length > 0) {
+    logDebug(
+      `[LAUNCH] Parsed ${extensionPaths.length} extension paths:`,
+    );
+    extensionPaths.forEach((p) => logDebug(`  - ${p}`));
+
+    const disableExcept = extensionPaths.join(",");
+    const loadExt = extensionPaths.join(",");
+
+    extensionArgs = [
+      `--disable-extensions-except=${disableExcept}`,
+      `--load-extension=${loadExt}`,
+    ];
+  }
+
+  // Credentials are not part of --proxy-server; they are sent per page
+  // with page.authenticate() (HTTP proxies only).
+  const proxyArgs = proxy
+    ? [`--proxy-server=${proxy.server}`]
+    : [];
+
+  return [
+    "--no-sandbox",
+    "--disable-setuid-sandbox",
+    "--disable-dev-shm-usage",
+    "--disable-accelerated-2d-canvas",
+    "--disable-gpu",
+    "--use-gl=swiftshader",
+    "--window-size=1280,720",
+    "--font-render-hinting=none",
+    "--enable-extensions",
+    "--enable-extension-assets",
+    "--disable-background-networking",
+    "--disable-default-apps",
+    "--disable-sync",
+    "--disable-translate",
+    "--disable-notifications",
+    "--no-first-run",
+    "--no-default-browser-check",
+    "--disable-web-security", // May help with extension loading
+    ...proxyArgs,
+    ...extensionArgs,
+  ];
+}
+
+// Extension background contexts show up as service workers (MV3) or
+// background pages (MV2).
+function isExtensionTarget(target) {
+  return (
+    (target.type() === "service_worker" ||
+      target.type() === "background_page") &&
+    target.url().startsWith("chrome-extension://")
+  );
+}
+
+// Waits until every configured extension has a background target, so
+// the first page leased from a fresh browser is already covered by the
+// extension rules. Returns the number of extension targets found.
+async function waitForExtensions(browser, expected, timeout, logDebug) {
+  const deadline = Date.now() + timeout;
+  let found = 0;
+  while (Date.now() < deadline) {
+    const origins = new Set(
+      browser
+        .targets()
+        .filter(isExtensionTarget)
+        .map((t) => new URL(t.url()).host),
+    );
+    found = origins.size;
+    if (found >= expected) break;
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  if (found < expected) {
+    console.warn(
+      `[POOL] Only ${found}/${expected} extensions initialised after ${timeout}ms`,
+    );
+  } else {
+    logDebug(`[POOL] ${found} extension workers initialised.`);
+  }
+  return found;
+}
+
+async function removeUserDataDir(userDataDir) {
+  try {
+    await fs.promises.rm(userDataDir, {
+      recursive: true,
+      force: true,
+    });
+  } catch (err) {
+    console.error(
+      "[POOL] Failed to remove user data dir:",
+      userDataDir,
+      err.message,
+    );
+  }
+}
+
+// Records the http(s) origins a leased page sends requests to, third
+// parties included.
+function trackOrigins(page) {
+  const origins = new Set();
+  page.on("request", (request) => {
+    try {
+      const url = new URL(request.url());
+      if (url.protocol === "http:" || url.protocol === "https:") {
+        origins.add(url.origin);
+      }
+    } catch (e) {
+      // not a URL (data: and the like are skipped above)
+    }
+  });
+  return origins;
+}
+
+// Deletes the cookies, storage and caches a lease left for `origins`, so
+// the next lease on the browser (maybe another API key) starts without
+// them, as it would in a fresh profile.
+async function clearLeaseData(page, origins, logDebug) {
+  if (origins.size === 0) return;
+  const session = await page.createCDPSession();
+  try {
+    await Promise.all(
+      [...origins].map((origin) =>
+        session.send("Storage.clearDataForOrigin", {
+          origin,
+          storageTypes: "all",
+        }),
+      ),
+    );
+    logDebug(`[POOL] Cleared site data of ${origins.size} origins.`);
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+// Resident memory of a process and all its descendants, in bytes, read
+// from /proc (Linux only). Chromium runs each renderer as a child process.
+function processTreeRss(rootPid) {
+  const children = new Map();
+  for (const name of fs.readdirSync("/proc")) {
+    if (!/^\d+$/.test(name)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${name}/stat`, "utf8");
+      // The command name may contain spaces: fields start after ")"
+      const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+      const ppid = parseInt(fields[1], 10);
+      if (!children.has(ppid)) children.set(ppid, []);
+      children.get(ppid).push(parseInt(name, 10));
+    } catch (e) {
+      // process exited while scanning
+    }
+  }
+  const pageSize = 4096;
+  let total = 0;
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.pop();
+    try {
+      const statm = fs.readFileSync(`/proc/${pid}/statm`, "utf8");
+      total += parseInt(statm.split(" ")[1], 10) * pageSize;
+    } catch (e) {
+      continue;
+    }
+    pending.push(...(children.get(pid) || []));
+  }
+  return total;
+}
+
+function proxyKey(proxy) {
+  return proxy ? proxy.server : "direct";
+}
+
+// ========================================================================
+// Browser Pool
+// ========================================================================
+// Keeps a set of warm Chromium instances (with extensions loaded) and
+// hands out pages on them. Each browser serves up to `maxPagesPerBrowser`
+// concurrent pages and is recycled after `recycleAfter` leases.
+//
+// Browsers keep one profile across leases. Extensions do not run in
+// separate browser contexts, so instead each lease's site data (cookies,
+// storage, caches of every origin its page requested) is cleared when it
+// is released. Leases running side by side on a browser share it.
+//
+// The proxy is a launch argument, so every browser is bound to one proxy
+// server (or none). A lease for another proxy reuses a matching browser,
+// launches one if there is room, or replaces an idle one.
+class BrowserPool {
+  constructor(options = {}) {
+    this.size = options.size ?? envInt("POOL_SIZE", 2);
+    this.maxPagesPerBrowser =
+      options.maxPagesPerBrowser ??
+      envInt("POOL_MAX_PAGES_PER_BROWSER", 4);
+    this.recycleAfter =
+      options.recycleAfter ?? envInt("POOL_RECYCLE_AFTER", 50);
+    this.acquireTimeout =
+      options.acquireTimeout ??
+      envInt("POOL_ACQUIRE_TIMEOUT", 60000);
+    this.healthInterval =
+      options.healthInterval ??
+      envInt("POOL_HEALTH_INTERVAL", 30000);
+    this.warmupTimeout =
+      options.warmupTimeout ??
+      envInt("POOL_WARMUP_TIMEOUT", 15000);
+    this.warmOnStart =
+      options.warmOnStart ?? envBool("POOL_WARM_ON_START", true);
+    // Refuse browsers where an extension failed to start
+    this.requireExtensions =
+      options.requireExtensions ??
+      envBool("POOL_REQUIRE_EXTENSIONS", false);
+    // Picks the proxy for warm-up launches (set by the server)
+    this.defaultProxy = options.defaultProxy || (() => null);
+
+    this.entries = [];
+    this.waiters = [];
+    this.launching = 0;
+    this.nextId = 1;
+    this.closed = false;
+    this.healthTimer = null;
+  }
+
+  // Launches the initial browsers and starts the health probe.
+  async start() {
+    if (this.healthInterval > 0) {
+      this.healthTimer = setInterval(
+        () => this.probe(),
+        this.healthInterval,
+      );
+      this.healthTimer.unref();
+    }
+    if (!this.warmOnStart) return;
+    const launches = [];
+    for (let i = this.entries.length; i < this.size; i++) {
+      launches.push(this.launchEntry(this.defaultProxy()));
+    }
+    const results = await Promise.allSettled(launches);
+    results
+      .filter((r) => r.status === "rejected")
+      .forEach((r) =>
+        console.warn(
+          "[POOL] Warm-up launch failed:",
+          r.reason.message,
+        ),
+      );
+    console.log(
+      `[POOL] Started with ${this.entries.length}/${this.size} browsers.`,
+    );
+  }
+
+  async launchEntry(proxy = null, logDebug = () => {}) {
+    this.launching++;
+    const id = this.nextId++;
+    const startedAt = Date.now();
+    let userDataDir;
+    let browser;
+    try {
+      userDataDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "puppeteer-user-data-"),
+      );
+      logDebug(
+        `[POOL] Launching browser #${id} (user data dir: ${userDataDir}, proxy: ${proxy ? proxy.server : "none"})`,
+      );
+      writeAutomationSeed(logDebug);
+      browser = await puppeteer.launch({
+        executablePath: getExecutablePath(),
+        headless: "new",
+        userDataDir,
+        args: buildLaunchArgs(proxy, logDebug),
+        dumpio: true, // Keep logging for now
+        timeout: 60000,
+        env: process.env,
+      });
+      const expected = getExtensionPaths().length;
+      const found = await waitForExtensions(
+        browser,
+        expected,
+        this.warmupTimeout,
+        logDebug,
+      );
+      if (this.requireExtensions && found < expected) {
+        throw new ScrapeError(
+          "EXTENSION_NOT_LOADED",
+          `Only ${found}/${expected} extensions loaded in browser #${id}`,
+          { phase: "lease" },
+        );
+      }
+    } catch (error) {
+      if (browser) await browser.close().catch(() => {});
+      if (userDataDir) await removeUserDataDir(userDataDir);
+      throw error;
+    } finally {
+      this.launching--;
+    }
+    recordLaunch(Date.now() - startedAt);
+
+    const entry = {
+      id,
+      key: proxyKey(proxy),
+      proxy,
+      browser,
+      userDataDir,
+      activePages: 0,
+      served: 0,
+      retiring: false,
+      launchedAt: Date.now(),
+    };
+    browser.on("disconnected", () => {
+      if (this.entries.includes(entry)) {
+        console.warn(`[POOL] Browser #${id} disconnected.`);
+        this.destroyEntry(entry);
+      }
+    });
+    this.entries.push(entry);
+    console.log(`[POOL] Browser #${id} ready.`);
+    return entry;
+  }
+
+  findAvailable(key) {
+    return this.entries
+      .filter(
+        (e) =>
+          e.key === key &&
+          !e.retiring &&
+          e.browser.connected &&
+          e.activePages < this.maxPagesPerBrowser,
+      )
+      .sort((a, b) => a.activePages - b.activePages)[0];
+  }
+
+  reserve(entry) {
+    entry.activePages++;
+    entry.served++;
+    if (this.recycleAfter > 0 && entry.served >= this.recycleAfter) {
+      entry.retiring = true;
+    }
+    return entry;
+  }
+
+  async reserveEntry(proxy, logDebug) {
+    const key = proxyKey(proxy);
+    const deadline = Date.now() + this.acquireTimeout;
+    while (!this.closed) {
+      const available = this.findAvailable(key);
+      if (available) return this.reserve(available);
+
+      if (this.entries.length + this.launching >= this.size) {
+        // Make room by closing an idle browser bound to another proxy
+        const idle = this.entries.find(
+          (e) => e.key !== key && e.activePages === 0,
+        );
+        if (idle) {
+          logDebug(
+            `[POOL] Replacing idle browser #${idle.id} (proxy: ${idle.key}) for proxy: ${key}`,
+          );
+          await this.destroyEntry(idle, false);
+        }
+      }
+
+      if (this.entries.length + this.launching < this.size) {
+        const entry = await this.launchEntry(proxy, logDebug);
+        return this.reserve(entry);
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) break;
+      logDebug("[POOL] All browsers busy, waiting for a free slot...");
+      await new Promise((resolve) => {
+        const waiter = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          this.waiters = this.waiters.filter((w) => w !== waiter);
+          resolve();
+        }, remaining);
+        this.waiters.push(waiter);
+      });
+    }
+    if (this.closed) throw new Error("Browser pool is shut down");
+    throw new ScrapeError(
+      "POOL_TIMEOUT",
+      `Timed out after ${this.acquireTimeout}ms waiting for a browser from the pool`,
+      { phase: "lease" },
+    );
+  }
+
+  wakeWaiter() {
+    const waiter = this.waiters.shift();
+    if (waiter) waiter();
+  }
+
+  // Leases a fresh page, on a browser using `options.proxy` (as returned
+  // by ProxyPool.resolve) when given. The caller must call `release()`.
+  async acquire(logDebug = () => {}, options = {}) {
+    const proxy = options.proxy || null;
+    const entry = await this.reserveEntry(proxy, logDebug);
+    let page;
+    let origins;
+    try {
+      page = await entry.browser.newPage();
+      origins = trackOrigins(page);
+      if (proxy && proxy.username) {
+        await page.authenticate({
+          username: proxy.username,
+          password: proxy.password || "",
+        });
+      }
+    } catch (error) {
+      entry.activePages--;
+      await this.destroyEntry(entry);
+      throw error;
+    }
+    logDebug(
+      `[POOL] Leased page on browser #${entry.id} (${entry.activePages}/${this.maxPagesPerBrowser} pages, ${entry.served} served)`,
+    );
+
+    let released = false;
+    return {
+      browser: entry.browser,
+      browserId: entry.id,
+      page,
+      release: async () => {
+        if (released) return;
+        released = true;
+        try {
+          await clearLeaseData(page, origins, logDebug);
+        } catch (e) {
+          // A browser that cannot clear the data must not serve another lease
+          console.warn(
+            `[POOL] Could not clear site data on browser #${entry.id}: ${e.message}`,
+          );
+          entry.retiring = true;
+        }
+        try {
+          await page.close();
+        } catch (e) {
+          logDebug(`[POOL] Error closing page: ${e.message}`);
+        }
+        entry.activePages--;
+        if (entry.retiring && entry.activePages === 0) {
+          logDebug(
+            `[POOL] Recycling browser #${entry.id} after ${entry.served} requests.`,
+          );
+          await this.destroyEntry(entry);
+        } else {
+          this.wakeWaiter();
+        }
+      },
+    };
+  }
+
+  async destroyEntry(entry, wake = true) {
+    if (!this.entries.includes(entry)) return;
+    this.entries = this.entries.filter((e) => e !== entry);
+    try {
+      await entry.browser.close();
+    } catch (e) {
+      console.error(
+        `[POOL] Error closing browser #${entry.id}:`,
+        e.message,
+      );
+    }
+    await removeUserDataDir(entry.userDataDir);
+    if (wake) this.wakeWaiter();
+  }
+
+  // Checks idle browsers and replaces the ones that no longer answer.
+  async probe() {
+    for (const entry of [...this.entries]) {
+      if (entry.activePages > 0) continue;
+      try {
+        await Promise.race([
+          entry.browser.version(),
+          new Promise((_, reject) =>
+            setTimeout(
+              () => reject(new Error("health probe timeout")),
+              5000,
+            ),
+          ),
+        ]);
+      } catch (e) {
+        console.warn(
+          `[POOL] Browser #${entry.id} failed health probe: ${e.message}`,
+        );
+        await this.destroyEntry(entry);
+      }
+    }
+    if (this.warmOnStart && !this.closed) {
+      for (
+        let i = this.entries.length + this.launching;
+        i < this.size;
+        i++
+      ) {
+        this.launchEntry(this.defaultProxy()).catch((e) =>
+          console.warn("[POOL] Refill launch failed:", e.message),
+        );
+      }
+    }
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      browsers: this.entries.length,
+      launching: this.launching,
+      activePages: this.entries.reduce(
+        (sum, e) => sum + e.activePages,
+        0,
+      ),
+      waiting: this.waiters.length,
+    };
+  }
+
+  // Resident memory per browser (Chromium process tree), in bytes.
+  memoryUsage() {
+    if (process.platform !== "linux") return [];
+    const usage = [];
+    for (const entry of this.entries) {
+      const child = entry.browser.process();
+      if (!child || !child.pid) continue;
+      usage.push({ id: entry.id, rss: processTreeRss(child.pid) });
+    }
+    return usage;
+  }
+
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.waiters.splice(0).forEach((waiter) => waiter());
+    await Promise.all(
+      [...this.entries].map((e) => this.destroyEntry(e)),
+    );
+  }
+}
+
+module.exports = {
+  BrowserPool,
+  buildLaunchArgs,
+  isExtensionTarget,
+};
@@ -0,0 +1,437 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { envBool, envInt } = require("./config");
+const { ScrapeError } = require("./errors");
+const { redactProxy } = require("./proxies");
+const { isBlocked } = require("./retry");
+
+// ========================================================================
+// Response Cache
+// ========================================================================
+// Caches successful /scrape results, except the ones detection.js found
+// blocked, keyed by the normalized URL and every option that changes
+// what the page renders or what is extracted from it (see cacheKey).
+// CACHE_STORE picks the storage:
+//
+//   memory   in-process LRU of at most CACHE_MAX_ENTRIES entries and
+//            CACHE_MAX_BYTES of JSON (default)
+//   disk     one JSON file per entry in CACHE_DIR
+//   sqlite   a table in the CACHE_SQLITE_PATH database (needs
+//            node:sqlite, Node 22.5+)
+//   none     caching disabled
+//
+// Entries are fresh for CACHE_TTL ms, or the profile's `cacheTtl`. Stale
+// entries are kept for CACHE_STALE_TTL ms more: when the page sent an
+// ETag or Last-Modified header, a conditional request revalidates them
+// (CACHE_REVALIDATE) instead of scraping again. The request goes out
+// through `options.revalidatePage` (revalidatePage in scrape.js), so it
+// takes the same browser, extension and proxy as the scrape would.
+// Entries past the stale window are swept from the store every
+// CACHE_SWEEP_INTERVAL ms, so disk and sqlite stores do not keep entries
+// that are never asked for again.
+//
+// Requests choose the mode with `cache`:
+//
+//   "use"      serve from the cache when possible (default)
+//   "bypass"   neither read nor write the cache
+//   "refresh"  scrape again and overwrite the cached entry
+//   "only"     answer from the cache or fail with 504, never scrape
+
+const CACHE_MODES = ["use", "bypass", "refresh", "only"];
+
+// Query parameters that only track the visitor and never change content.
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^mc_(cid|eid)$/,
+  /^(fbclid|gclid|dclid|msclkid|yclid|twclid|igshid)$/,
+  /^(_ga|_gl|_hsenc|_hsmi|mkt_tok|oly_anon_id|oly_enc_id)$/,
+  /^(ref|ref_src|referrer|cmpid|icid|smid|sref|share|ncid)$/,
+];
+
+// Returns an error message when `cache` is not a valid cache mode.
+function validateCache(cache) {
+  if (cache === undefined || CACHE_MODES.includes(cache)) return null;
+  return `Unknown cache mode "${cache}". Expected one of: ${CACHE_MODES.join(", ")}`;
+}
+
+// Like stripUrl in background.js, but only drops the fragment and the
+// tracking parameters: other query parameters can select the article.
+// The remaining ones are sorted so their order does not matter.
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase();
+  const kept = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some((re) => re.test(name)))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(kept).toString();
+  return parsed.href;
+}
+
+function cacheKey(spec) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        normalizeUrl(spec.url),
+        spec.selector || null,
+        spec.method || "css",
+        spec.fields || null,
+        spec.frames || null,
+        spec.format || null,
+        // capture options change png/jpeg/pdf output
+        spec.capture || null,
+        spec.pdf || null,
+        // what the site serves and the page looks like when extracted
+        spec.viewport || null,
+        spec.userAgent || null,
+        spec.waitUntil || null,
+        spec.postNavDelay ?? null,
+        spec.wait || null,
+        spec.actions || null,
+        spec.freshSession || false,
+        // the exit IP, without credentials
+        redactProxy(spec.proxy) ?? null,
+        spec.detection ?? null,
+        spec.paywallSelectors || null,
+        spec.archiveFallback ?? null,
+        spec.archiveSelector || null,
+      ]),
+    )
+    .digest("hex");
+}
+
+// --- Stores: get(key) -> entry | null, set(key, entry), delete(key),
+// sweep(expiredBefore) drops the entries with expiresAt < expiredBefore ---
+
+class MemoryStore {
+  constructor(maxEntries, maxBytes) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    // key -> { entry, bytes }
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  set(key, entry) {
+    this.delete(key);
+    // Base64 captures and archives can be tens of MB each
+    const bytes = JSON.stringify(entry).length;
+    if (bytes > this.maxBytes) return;
+    this.entries.set(key, { entry, bytes });
+    this.bytes += bytes;
+    while (
+      this.entries.size > this.maxEntries ||
+      this.bytes > this.maxBytes
+    ) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const item = this.entries.get(key);
+    if (!item) return;
+    this.entries.delete(key);
+    this.bytes -= item.bytes;
+  }
+
+  sweep(expiredBefore) {
+    for (const [key, item] of this.entries) {
+      if (item.entry.expiresAt < expiredBefore) this.delete(key);
+    }
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+class DiskStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  get(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.file(key), "utf8"));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  set(key, entry) {
+    const file = this.file(key);
+    // Write then rename, so readers never see a partial entry
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+    // The mtime holds expiresAt, so sweep() need not read the entries
+    const expires = new Date(entry.expiresAt);
+    fs.utimesSync(`${file}.tmp`, expires, expires);
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  delete(key) {
+    fs.rmSync(this.file(key), { force: true });
+  }
+
+  sweep(expiredBefore) {
+    for (const name of fs.readdirSync(this.dir)) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(this.dir, name);
+      try {
+        if (fs.statSync(file).mtimeMs < expiredBefore) fs.rmSync(file);
+      } catch (e) {
+        // removed meanwhile
+      }
+    }
+  }
+
+  size() {
+    return fs.readdirSync(this.dir).filter((f) => f.endsWith(".json"))
+      .length;
+  }
+}
+
+class SqliteStore {
+  constructor(file) {
+    const { DatabaseSync } = require("node:sqlite");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new DatabaseSync(file);
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, entry TEXT NOT NULL, expires_at INTEGER NOT NULL DEFAULT 0)",
+    );
+    // Tables created before sweeping was added lack expires_at
+    const columns = this.db.prepare("PRAGMA table_info(cache)").all();
+    if (!columns.some((c) => c.name === "expires_at")) {
+      this.db.exec(
+        "ALTER TABLE cache ADD COLUMN expires_at INTEGER NOT NULL DEFAULT 0",
+      );
+    }
+    this.selectStmt = this.db.prepare("SELECT entry FROM cache WHERE key = ?");
+    this.upsertStmt = this.db.prepare(
+      "INSERT INTO cache (key, entry, expires_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET entry = excluded.entry, expires_at = excluded.expires_at",
+    );
+    this.deleteStmt = this.db.prepare("DELETE FROM cache WHERE key = ?");
+    this.sweepStmt = this.db.prepare("DELETE FROM cache WHERE expires_at < ?");
+    this.countStmt = this.db.prepare("SELECT COUNT(*) AS n FROM cache");
+  }
+
+  get(key) {
+    const row = this.selectStmt.get(key);
+    return row ? JSON.parse(row.entry) : null;
+  }
+
+  set(key, entry) {
+    this.upsertStmt.run(key, JSON.stringify(entry), entry.expiresAt);
+  }
+
+  delete(key) {
+    this.deleteStmt.run(key);
+  }
+
+  sweep(expiredBefore) {
+    this.sweepStmt.run(expiredBefore);
+  }
+
+  size() {
+    return this.countStmt.get().n;
+  }
+}
+
+function createStore(type) {
+  switch (type) {
+    case "none":
+      return null;
+    case "disk":
+      if (!process.env.CACHE_DIR) throw new Error("CACHE_DIR is not set");
+      return new DiskStore(process.env.CACHE_DIR);
+    case "sqlite":
+      if (!process.env.CACHE_SQLITE_PATH) {
+        throw new Error("CACHE_SQLITE_PATH is not set");
+      }
+      return new SqliteStore(process.env.CACHE_SQLITE_PATH);
+    case "memory":
+      return new MemoryStore(
+        envInt("CACHE_MAX_ENTRIES", 500),
+        envInt("CACHE_MAX_BYTES", 256 * 1024 * 1024),
+      );
+  }
+  throw new Error(`Unknown CACHE_STORE "${type}"`);
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    const type = options.store || process.env.CACHE_STORE || "memory";
+    try {
+      this.store = createStore(type);
+    } catch (e) {
+      console.error(`[CACHE] Cache disabled: ${e.message}`);
+      this.store = null;
+    }
+    this.ttl = options.ttl ?? envInt("CACHE_TTL", 15 * 60 * 1000);
+    this.staleTtl =
+      options.staleTtl ?? envInt("CACHE_STALE_TTL", 24 * 60 * 60 * 1000);
+    // (spec, validators, timeout, logDebug) -> true on 304 Not Modified
+    this.revalidatePage = options.revalidatePage || null;
+    this.revalidateEnabled =
+      !!this.revalidatePage &&
+      (options.revalidate ?? envBool("CACHE_REVALIDATE", true));
+    this.revalidateTimeout = envInt("CACHE_REVALIDATE_TIMEOUT", 5000);
+    this.sweepInterval =
+      options.sweepInterval ?? envInt("CACHE_SWEEP_INTERVAL", 10 * 60 * 1000);
+    this.sweptAt = 0;
+    if (this.store) {
+      console.log(`[CACHE] Using ${type} store (ttl ${this.ttl}ms).`);
+    }
+  }
+
+  enabled() {
+    return this.store !== null;
+  }
+
+  // Runs `scrape()` through the cache according to `spec.cache`. Resolves
+  // to `{ result, status, age }`, where `status` is HIT, MISS, REVALIDATED,
+  // REFRESH or BYPASS (for the X-Cache header) and `age` is in seconds.
+  async fetch(spec, scrape, logDebug = () => {}) {
+    const mode = spec.cache || "use";
+    if (!this.store && mode === "only") {
+      throw new ScrapeError("CACHE_MISS", `Cache disabled: ${spec.url}`);
+    }
+    if (!this.store || mode === "bypass") {
+      return { result: await scrape(), status: "BYPASS", age: 0 };
+    }
+
+    const key = cacheKey(spec);
+    if (mode !== "refresh") {
+      const entry = this.lookup(key);
+      const now = Date.now();
+      if (entry && entry.expiresAt > now) {
+        logDebug(`[CACHE] Hit for ${entry.url}`);
+        return { result: entry.result, status: "HIT", age: ageOf(entry) };
+      }
+      if (entry && (await this.revalidate(entry, spec, logDebug))) {
+        logDebug(`[CACHE] Revalidated ${entry.url}`);
+        entry.storedAt = now;
+        entry.expiresAt = now + this.ttlFor(spec);
+        this.save(key, entry);
+        return { result: entry.result, status: "REVALIDATED", age: 0 };
+      }
+      if (mode === "only") {
+        // Answered with 504, like HTTP's only-if-cached
+        throw new ScrapeError("CACHE_MISS", `Not in cache: ${spec.url}`);
+      }
+    }
+
+    const result = await scrape();
+    const status = mode === "refresh" ? "REFRESH" : "MISS";
+    if (isBlocked(result.detection)) {
+      // A paywalled, truncated or captcha page is not worth serving again
+      logDebug(`[CACHE] Not caching blocked result for ${spec.url}`);
+      return { result, status, age: 0 };
+    }
+    const now = Date.now();
+    const { validators, attempts, ...cached } = result;
+    this.save(key, {
+      url: normalizeUrl(spec.url),
+      storedAt: now,
+      expiresAt: now + this.ttlFor(spec),
+      validators: validators || null,
+      result: cached,
+    });
+    return { result, status, age: 0 };
+  }
+
+  // Asks the origin whether a stale entry is still current.
+  async revalidate(entry, spec, logDebug) {
+    const { etag, lastModified } = entry.validators || {};
+    if (!this.revalidateEnabled || (!etag && !lastModified)) return false;
+    return this.revalidatePage(
+      spec,
+      entry.validators,
+      this.revalidateTimeout,
+      logDebug,
+    );
+  }
+
+  ttlFor(spec) {
+    return spec.cacheTtl ?? this.ttl;
+  }
+
+  // Returns the entry, dropping it once it is past the stale window.
+  lookup(key) {
+    let entry;
+    try {
+      entry = this.store.get(key);
+    } catch (e) {
+      console.error(`[CACHE] Read failed: ${e.message}`);
+      return null;
+    }
+    if (entry && entry.expiresAt + this.staleTtl <= Date.now()) {
+      try {
+        this.store.delete(key);
+      } catch (e) {
+        console.error(`[CACHE] Delete failed: ${e.message}`);
+      }
+      return null;
+    }
+    return entry;
+  }
+
+  save(key, entry) {
+    try {
+      this.store.set(key, entry);
+    } catch (e) {
+      console.error(`[CACHE] Write failed: ${e.message}`);
+    }
+    this.sweep();
+  }
+
+  // Drops the entries past the stale window, at most every sweepInterval.
+  sweep() {
+    const now = Date.now();
+    if (now - this.sweptAt < this.sweepInterval) return;
+    this.sweptAt = now;
+    try {
+      this.store.sweep(now - this.staleTtl);
+    } catch (e) {
+      console.error(`[CACHE] Sweep failed: ${e.message}`);
+    }
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled(),
+      entries: this.store ? this.store.size() : 0,
+    };
+  }
+}
+
+function ageOf(entry) {
+  return Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000));
+}
+
+module.exports = {
+  ResponseCache,
+  validateCache,
+  normalizeUrl,
+  cacheKey,
+};
@@ -0,0 +1,145 @@
+const { ScrapeError } = require("./errors");
+const { usesFrames, waitForElement } = require("./frames");
+
+// ========================================================================
+// Page Captures (`format: png | jpeg | pdf`)
+// ========================================================================
+// Captures go through the same pool, profile, actions and wait pipeline
+// as text extraction, then replace the extraction step:
+//
+//   png / jpeg  Screenshot. With a `selector` the capture is clipped to
+//               that element, which may sit in an iframe or shadow root
+//               (see frames.js), otherwise (or with `capture.fullPage`)
+//               the whole page is taken.
+//               capture: { fullPage, omitBackground, quality }
+//   pdf         Printed page, always the whole document.
+//               pdf: { format: "A4", landscape, printBackground, scale,
+//                      margin: { top, right, bottom, left }, pageRanges,
+//                      preferCSSPageSize, mediaType: "print" | "screen" }
+//
+// The viewport (size and deviceScaleFactor) comes from the request or the
+// site profile. Results carry the binary as base64 (`encoding: "base64"`)
+// so they can go through JSON job and batch replies unchanged.
+
+const CAPTURE_FORMATS = ["png", "jpeg", "pdf"];
+const CONTENT_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  pdf: "application/pdf",
+};
+const PDF_OPTIONS = [
+  "format",
+  "landscape",
+  "printBackground",
+  "scale",
+  "margin",
+  "pageRanges",
+  "preferCSSPageSize",
+  "mediaType",
+];
+
+function isCaptureFormat(format) {
+  return CAPTURE_FORMATS.includes(format);
+}
+
+// Returns an error message when the capture options are invalid.
+function validateCapture(spec) {
+  const { capture, pdf } = spec;
+  if (capture !== undefined && (!capture || typeof capture !== "object")) {
+    return "capture must be an object";
+  }
+  if (pdf !== undefined) {
+    if (!pdf || typeof pdf !== "object") return "pdf must be an object";
+    const unknown = Object.keys(pdf).filter((k) => !PDF_OPTIONS.includes(k));
+    if (unknown.length > 0) {
+      return `Unknown pdf options: ${unknown.join(", ")}. Expected: ${PDF_OPTIONS.join(", ")}`;
+    }
+    if (
+      pdf.mediaType !== undefined &&
+      !["print", "screen"].includes(pdf.mediaType)
+    ) {
+      return `pdf.mediaType must be "print" or "screen"`;
+    }
+  }
+  if (
+    capture &&
+    capture.quality !== undefined &&
+    spec.format !== "jpeg"
+  ) {
+    return "capture.quality only applies to the jpeg format";
+  }
+  return null;
+}
+
+// XPath selectors go through Puppeteer's ::-p-xpath() query handler.
+function elementSelector(spec) {
+  return spec.method === "xpath"
+    ? `::-p-xpath(${spec.selector})`
+    : spec.selector;
+}
+
+async function screenshot(page, spec, logDebug) {
+  const capture = spec.capture || {};
+  const options = {
+    type: spec.format,
+    omitBackground: !!capture.omitBackground,
+    ...(spec.format === "jpeg" && capture.quality !== undefined
+      ? { quality: capture.quality }
+      : {}),
+  };
+  if (spec.selector && !capture.fullPage) {
+    logDebug(`[CAPTURE] Waiting for element to clip: ${spec.selector}`);
+    const element = usesFrames(spec)
+      ? (await waitForElement(page, spec, logDebug)).element
+      : await page.waitForSelector(elementSelector(spec), {
+          timeout: spec.timeouts.selector,
+        });
+    if (!element) {
+      throw new ScrapeError(
+        "SELECTOR_NOT_FOUND",
+        `Capture selector "${spec.selector}" not found on the page.`,
+      );
+    }
+    try {
+      await element.scrollIntoView();
+      return await element.screenshot(options);
+    } finally {
+      await element.dispose();
+    }
+  }
+  logDebug("[CAPTURE] Taking full-page screenshot.");
+  return page.screenshot({ ...options, fullPage: true });
+}
+
+async function printPdf(page, spec, logDebug) {
+  const { mediaType = "print", ...options } = spec.pdf || {};
+  await page.emulateMediaType(mediaType);
+  logDebug(`[CAPTURE] Printing PDF (media: ${mediaType}).`);
+  return page.pdf({
+    format: "A4",
+    printBackground: true,
+    ...options,
+  });
+}
+
+// Captures the loaded page and resolves to `{ contentType, data,
+// encoding }` with `data` in base64.
+async function capturePage(page, spec, logDebug = () => {}) {
+  const binary =
+    spec.format === "pdf"
+      ? await printPdf(page, spec, logDebug)
+      : await screenshot(page, spec, logDebug);
+  logDebug(`[CAPTURE] Captured ${binary.length} bytes.`);
+  return {
+    contentType: CONTENT_TYPES[spec.format],
+    data: Buffer.from(binary).toString("base64"),
+    encoding: "base64",
+  };
+}
+
+module.exports = {
+  CAPTURE_FORMATS,
+  isCaptureFormat,
+  validateCapture,
+  capturePage,
+};
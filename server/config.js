@@ -0,0 +1,51 @@
+// ========================================================================
+// Environment Helpers
+// ========================================================================
+
+// Reads an integer from the environment, falling back to `fallback`
+// when the variable is unset or not a number.
+function envInt(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = parseInt(raw, 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Reads a boolean flag ("1", "true", "yes", "on") from the environment.
+function envBool(name, fallback = false) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  return ["1", "true", "yes", "on"].includes(
+    raw.trim().toLowerCase(),
+  );
+}
+
+// Splits a comma-separated environment variable into trimmed,
+// non-empty entries.
+function envList(name) {
+  const raw = process.env[name];
+  if (!raw) return [];
+  return raw
+    .split(",")
+    .map((p) => p.trim())
+    .filter((p) => p.length > 0);
+}
+
+function getExecutablePath() {
+  return (
+    process.env.EXECUTABLE_PATH || "/usr/bin/chromium-browser"
+  );
+}
+
+function getExtensionPaths() {
+  // Split by COMMA (not colon), then filter empty strings
+  return envList("EXTENSION_PATHS");
+}
+
+module.exports = {
+  envInt,
+  envBool,
+  envList,
+  getExecutablePath,
+  getExtensionPaths,
+};
@@ -0,0 +1,248 @@
+const { ScrapeError } = require("./errors");
+
+// ========================================================================
+// Paywall and Captcha Detection
+// ========================================================================
+// Inspects the final DOM, after the extensions and actions have run, for
+// signs that the scrape did not get the full article:
+//
+//   paywallDetected  a visible paywall container is still on the page
+//                    (piano/tinypass, poool, generic .paywall families as
+//                    removed by the cs_local scripts, plus the profile's
+//                    `paywallSelectors`), other than a wrapper around the
+//                    article itself
+//   bpcFailure       the bypass extension gave up: the "BPC > no fix"
+//                    header (div#bpc_nofix, header_nofix) or the text-fail
+//                    notice (div#bpc_fail, replaceTextFail)
+//   truncated        the article container (articleBody, <article>,
+//                    <main> or the body) has less text than the ld+json
+//                    articleBody, or a paywall is showing and it is short
+//   captcha          a bot-check interstitial (Cloudflare, DataDome, ...)
+//
+// `detection` picks what happens: "report" (default) adds the fields to
+// the response, "fail" turns a detection into a PAYWALL_DETECTED or
+// BLOCKED_BY_CAPTCHA error, "off" skips the check.
+
+const DETECTION_MODES = ["report", "fail", "off"];
+
+const PAYWALL_SELECTORS = [
+  // Piano / Tinypass
+  ".tp-modal",
+  ".tp-backdrop",
+  'iframe[src*="tinypass.com"]',
+  'iframe[id^="piano-id"]',
+  "div#piano-paywall-container",
+  'div[class*="piano-paywall"]',
+  // Poool
+  'div[id^="poool"]',
+  'div[class*="poool-"]',
+  // Generic paywall / regwall containers: whole class names only, as
+  // "paywall" is also part of names like "no-paywall" or "paywall-free"
+  "div#paywall",
+  "div#paywall-container",
+  'div[class~="paywall" i]',
+  'div[class*="paywall-overlay" i]',
+  'div[class*="paywall-modal" i]',
+  'div[class*="paywall-container" i]',
+  'section[class~="paywall" i]',
+  'aside[class~="paywall" i]',
+  "app-paywall",
+  'div[class~="regwall" i]',
+  'div[data-testid*="paywall" i]',
+  "#gateway-content",
+  'div[class*="subscriber-only" i]',
+];
+
+// [provider, selector] pairs; the first visible match wins.
+const CAPTCHA_MARKERS = [
+  ["cloudflare", "#challenge-form"],
+  ["cloudflare", "#cf-challenge-running"],
+  ["cloudflare", 'iframe[src*="challenges.cloudflare.com"]'],
+  ["cloudflare", ".cf-turnstile"],
+  ["datadome", 'iframe[src*="captcha-delivery.com"]'],
+  ["perimeterx", "#px-captcha"],
+  ["imperva", 'iframe[src*="_Incapsula_Resource"]'],
+  ["recaptcha", 'iframe[src*="google.com/recaptcha"][title*="challenge" i]'],
+  ["recaptcha", "div.g-recaptcha"],
+  ["hcaptcha", 'iframe[src*="hcaptcha.com"]'],
+];
+
+const CAPTCHA_TITLES = [
+  ["cloudflare", /^just a moment/i],
+  ["cloudflare", /attention required/i],
+  ["akamai", /^access denied$/i],
+  ["generic", /are you a robot|verify you are human|bot check/i],
+];
+
+// Returns an error message when `detection` is not a valid mode.
+function validateDetection(spec) {
+  const { detection, paywallSelectors } = spec;
+  if (detection !== undefined && !DETECTION_MODES.includes(detection)) {
+    return `Unknown detection mode "${detection}". Expected one of: ${DETECTION_MODES.join(", ")}`;
+  }
+  if (paywallSelectors !== undefined && !Array.isArray(paywallSelectors)) {
+    return "paywallSelectors must be an array of CSS selectors";
+  }
+  return null;
+}
+
+// Runs in the browser: must stay self-contained.
+function detectInPage(options) {
+  const visible = (el) => {
+    if (!el) return false;
+    const style = window.getComputedStyle(el);
+    if (style.display === "none" || style.visibility === "hidden") {
+      return false;
+    }
+    if (parseFloat(style.opacity) === 0) return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 1 && rect.height > 1;
+  };
+  const firstVisible = (selector) => {
+    try {
+      return [...document.querySelectorAll(selector)].find(visible) || null;
+    } catch (e) {
+      return null; // invalid profile selector
+    }
+  };
+  const text = (el) => (el ? el.innerText || el.textContent || "" : "");
+  const textLength = (el) => text(el).replace(/\s+/g, " ").trim().length;
+
+  // The article container: the longest articleBody, <article> or <main>,
+  // whatever the request extracts from it
+  const container =
+    [
+      ...document.querySelectorAll(
+        '[itemprop="articleBody"], article, main, [role="main"]',
+      ),
+    ]
+      .filter(visible)
+      .sort((a, b) => textLength(b) - textLength(a))[0] || document.body;
+
+  // --- Paywall markers ---
+  // A marker that wraps the article is a styling hook left on the
+  // unlocked content, not a gate
+  const paywallMarkers = options.paywallSelectors.filter((selector) => {
+    const marker = firstVisible(selector);
+    return !!marker && !marker.contains(container);
+  });
+
+  // --- Extension failure notices ---
+  const nofix = document.querySelector("div#bpc_nofix");
+  const fail = document.querySelector("div#bpc_fail");
+  const bpcFailure =
+    nofix || fail
+      ? {
+          nofix: nofix ? text(nofix).trim() : null,
+          fail: fail ? text(fail).trim() : null,
+        }
+      : null;
+
+  // --- Captcha / bot check ---
+  let captcha = null;
+  for (const [provider, selector] of options.captchaMarkers) {
+    if (firstVisible(selector)) {
+      captcha = { provider, marker: selector };
+      break;
+    }
+  }
+  if (!captcha) {
+    for (const [provider, pattern] of options.captchaTitles) {
+      if (new RegExp(pattern.source, pattern.flags).test(document.title)) {
+        captcha = { provider, marker: `title: ${document.title}` };
+        break;
+      }
+    }
+  }
+
+  // --- Truncation ---
+  const contentLength = textLength(container);
+  let articleBodyLength = 0;
+  const findBody = (json) => {
+    if (!json || typeof json !== "object") return;
+    if (Array.isArray(json)) return json.forEach(findBody);
+    if (typeof json.articleBody === "string") {
+      articleBodyLength = Math.max(
+        articleBodyLength,
+        json.articleBody.replace(/\s+/g, " ").trim().length,
+      );
+    }
+    Object.values(json).forEach(findBody);
+  };
+  document
+    .querySelectorAll('script[type="application/ld+json"]')
+    .forEach((script) => {
+      try {
+        findBody(JSON.parse(script.text));
+      } catch (e) {
+        // malformed ld+json
+      }
+    });
+  const truncated =
+    (articleBodyLength > 0 && contentLength < articleBodyLength * 0.6) ||
+    (paywallMarkers.length > 0 && contentLength < options.minTextLength);
+
+  return {
+    paywallDetected: paywallMarkers.length > 0,
+    paywallMarkers,
+    truncated,
+    bpcFailure,
+    captcha,
+    contentLength,
+    articleBodyLength,
+  };
+}
+
+// Runs the detection stage for `spec`. Resolves to the detection result,
+// or null when disabled; throws in "fail" mode when something is found.
+async function detectBlocking(page, spec, logDebug = () => {}) {
+  const mode = spec.detection || "report";
+  if (mode === "off") return null;
+  const detection = await page.evaluate(detectInPage, {
+    paywallSelectors: [
+      ...PAYWALL_SELECTORS,
+      ...(spec.paywallSelectors || []),
+    ],
+    captchaMarkers: CAPTCHA_MARKERS,
+    captchaTitles: CAPTCHA_TITLES.map(([provider, re]) => [
+      provider,
+      { source: re.source, flags: re.flags },
+    ]),
+    minTextLength: 1000,
+  });
+  logDebug(
+    `[DETECT] paywall=${detection.paywallDetected} truncated=${detection.truncated} bpcFailure=${!!detection.bpcFailure} captcha=${detection.captcha ? detection.captcha.provider : "none"}`,
+  );
+  if (mode === "fail") {
+    if (detection.captcha) {
+      throw new ScrapeError(
+        "BLOCKED_BY_CAPTCHA",
+        `Blocked by ${detection.captcha.provider} bot check (${detection.captcha.marker})`,
+        { phase: "detection" },
+      );
+    }
+    if (
+      detection.paywallDetected ||
+      detection.truncated ||
+      detection.bpcFailure
+    ) {
+      throw new ScrapeError(
+        "PAYWALL_DETECTED",
+        `Paywall still present: ${
+          detection.bpcFailure
+            ? "bypass extension reported no fix"
+            : detection.paywallMarkers.join(", ") || "content truncated"
+        }`,
+        { phase: "detection" },
+      );
+    }
+  }
+  return detection;
+}
+
+module.exports = {
+  PAYWALL_SELECTORS,
+  validateDetection,
+  detectInPage,
+  detectBlocking,
+};
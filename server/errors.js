@@ -0,0 +1,157 @@
+// ========================================================================
+// Error Classification
+// ========================================================================
+// Every failed scrape is described by a stable `code`, the HTTP status
+// sent to clients, whether retrying the same request may succeed
+// (`retryable`), and the pipeline `phase` it failed in (lease,
+// navigation, actions, wait, detection, extraction, format, archive).
+//
+// Errors raised by this server are ScrapeErrors carrying their code.
+// Errors from Puppeteer and Chromium are matched on their message, with
+// the same status codes the /scrape endpoint has always returned.
+
+const ERROR_CODES = {
+  // Waiting for the page
+  NAVIGATION_TIMEOUT: { status: 504, retryable: true },
+  WAIT_TIMEOUT: { status: 504, retryable: true },
+  TIMEOUT: { status: 504, retryable: true },
+  // Content missing
+  SELECTOR_NOT_FOUND: { status: 404, retryable: false },
+  CONTENT_NOT_FOUND: { status: 404, retryable: false },
+  // the page asks for a subscription: 402, not 451 (a legal block)
+  PAYWALL_DETECTED: { status: 402, retryable: false },
+  BLOCKED_BY_CAPTCHA: { status: 403, retryable: true },
+  // Network
+  PROXY_FAILURE: { status: 502, retryable: true },
+  DNS_FAILURE: { status: 502, retryable: false },
+  NETWORK_ERROR: { status: 502, retryable: true },
+  // Request
+  INVALID_SELECTOR: { status: 400, retryable: false },
+  CACHE_MISS: { status: 504, retryable: false },
+  // Browser
+  POOL_TIMEOUT: { status: 503, retryable: true },
+  BROWSER_LAUNCH_FAILED: { status: 500, retryable: false },
+  BROWSER_CRASH: { status: 500, retryable: true },
+  EXTENSION_NOT_LOADED: { status: 500, retryable: true },
+  INTERNAL_ERROR: { status: 500, retryable: false },
+};
+
+class ScrapeError extends Error {
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = "ScrapeError";
+    this.code = code;
+    if (options.phase) this.phase = options.phase;
+  }
+}
+
+function isTimeout(error) {
+  return (
+    error.name === "TimeoutError" ||
+    error.message.includes("timeout") ||
+    error.message.includes("exceeded")
+  );
+}
+
+// Timeouts are told apart by the phase they happened in.
+function timeoutCode(error) {
+  switch (error.phase) {
+    case "navigation":
+      return "NAVIGATION_TIMEOUT";
+    case "wait":
+      return "WAIT_TIMEOUT";
+    case "extraction":
+      return error.message.includes("selector")
+        ? "SELECTOR_NOT_FOUND"
+        : "TIMEOUT";
+  }
+  return "TIMEOUT";
+}
+
+// Returns the error code for any error (see ERROR_CODES).
+function errorCode(error) {
+  if (error.code && ERROR_CODES[error.code]) return error.code;
+  const message = error.message || "";
+  if (isTimeout(error)) return timeoutCode(error);
+  if (
+    message.includes("selector") &&
+    (message.includes("not found") ||
+      message.includes("failed to find element"))
+  ) {
+    return "SELECTOR_NOT_FOUND";
+  }
+  if (message.includes("no main content found")) return "CONTENT_NOT_FOUND";
+  if (/net::ERR_(PROXY|TUNNEL|SOCKS)/.test(message)) return "PROXY_FAILURE";
+  if (message.includes("net::ERR_NAME_NOT_RESOLVED")) return "DNS_FAILURE";
+  if (
+    message.includes("Navigation failed") ||
+    message.includes("net::ERR_")
+  ) {
+    return "NETWORK_ERROR";
+  }
+  if (
+    message.includes("XPath evaluation failed") ||
+    message.includes("is not a valid selector")
+  ) {
+    return "INVALID_SELECTOR";
+  }
+  if (
+    message.includes("Failed to launch the browser") ||
+    message.includes("Browser was not found")
+  ) {
+    return "BROWSER_LAUNCH_FAILED";
+  }
+  if (
+    /Target closed|Session closed|detached Frame|Protocol error|browser has disconnected|Connection closed/i.test(
+      message,
+    )
+  ) {
+    return "BROWSER_CRASH";
+  }
+  return "INTERNAL_ERROR";
+}
+
+// Describes an error as `{ code, statusCode, retryable, phase }`.
+function describeError(error) {
+  const code = errorCode(error);
+  // Browser timeouts have always been answered with 504, including a
+  // selector that never showed up
+  const timedOut = !(error instanceof ScrapeError) && isTimeout(error);
+  return {
+    code,
+    statusCode: timedOut ? 504 : ERROR_CODES[code].status,
+    retryable: ERROR_CODES[code].retryable,
+    phase: error.phase || null,
+  };
+}
+
+// Maps a scraping error to the HTTP status code returned to clients.
+function classifyError(error) {
+  return describeError(error).statusCode;
+}
+
+// Builds the JSON error body sent for a failed scrape.
+function errorBody(error, debug = false) {
+  const { code, retryable, phase } = describeError(error);
+  return {
+    error: "Scraping failed",
+    code,
+    details: error.message,
+    type: error.constructor.name,
+    retryable,
+    phase,
+    attempts: error.attempts,
+    stack:
+      debug || process.env.NODE_ENV === "development"
+        ? error.stack
+        : undefined,
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ScrapeError,
+  describeError,
+  classifyError,
+  errorBody,
+};
@@ -0,0 +1,312 @@
+const fs = require("fs");
+const path = require("path");
+const { envBool, getExtensionPaths } = require("./config");
+const { ScrapeError } = require("./errors");
+
+// ========================================================================
+// Helper Function: Find and Duplicate Tab via Tab-Duplicator Extension
+// ========================================================================
+async function duplicateTabViaExtension(browser, logDebug) {
+  try {
+    logDebug(
+      "[DUPLICATE] Looking for tab-duplicator extension...",
+    );
+
+    const targets = await browser.targets();
+    logDebug(
+      `[DUPLICATE] Total targets: ${targets.length}`,
+    );
+
+    // Get all service workers
+    const serviceWorkers = targets.filter(
+      (t) =>
+        t.type() === "service_worker" &&
+        t.url().includes("chrome-extension://"),
+    );
+
+    logDebug(
+      `[DUPLICATE] Found ${serviceWorkers.length} extension service workers`,
+    );
+
+    // Find the tab-duplicator by sending identity check to each
+    let tabDuplicatorWorker = null;
+
+    for (const worker of serviceWorkers) {
+      try {
+        logDebug(
+          `[DUPLICATE] Checking identity of ${worker.url()}...`,
+        );
+        const workerContext = await worker.worker();
+
+        const identity = await Promise.race([
+          workerContext.evaluate(() => {
+            return new Promise((resolve) => {
+              chrome.runtime.sendMessage(
+                { action: "identify" },
+                (response) => {
+                  console.log(
+                    "[WORKER] Identity response:",
+                    response,
+                  );
+                  resolve(response);
+                },
+              );
+            });
+          }),
+          new Promise((_, reject) =>
+            setTimeout(
+              () => reject(new Error("timeout")),
+              1000,
+            ),
+          ),
+        ]).catch((e) => {
+          logDebug(`[DUPLICATE]   → Error: ${e.message}`);
+          return null;
+        });
+
+        logDebug(
+          `[DUPLICATE]   → identity=${identity?.identity || "unknown"}`,
+        );
+
+        if (
+          identity &&
+          identity.identity === "tab-duplicator"
+        ) {
+          logDebug(
+            `[DUPLICATE] ✓ FOUND tab-duplicator at: ${worker.url()}`,
+          );
+          tabDuplicatorWorker = worker;
+          break;
+        }
+      } catch (e) {
+        logDebug(
+          `[DUPLICATE] Worker evaluation error: ${e.message}`,
+        );
+        continue;
+      }
+    }
+
+    if (!tabDuplicatorWorker) {
+      throw new ScrapeError(
+        "EXTENSION_NOT_LOADED",
+        `Tab-duplicator extension not found among ${serviceWorkers.length} service workers. ` +
+          `Checked: ${serviceWorkers.map((w) => w.url()).join(", ")}`,
+      );
+    }
+
+    logDebug("[DUPLICATE] Sending duplicateTab command...");
+    const workerContext =
+      await tabDuplicatorWorker.worker();
+
+    const result = await workerContext.evaluate(() => {
+      return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(
+          { action: "duplicateTab" },
+          (response) => {
+            console.log(
+              "[WORKER] Duplicate response:",
+              response,
+            );
+            if (chrome.runtime.lastError) {
+              console.error(
+                "[WORKER] Error:",
+                chrome.runtime.lastError,
+              );
+              reject(
+                new Error(chrome.runtime.lastError.message),
+              );
+            } else if (response && response.success) {
+              resolve(response);
+            } else if (!response) {
+              reject(
+                new Error("No response from extension"),
+              );
+            } else {
+              reject(
+                new Error(
+                  response.error || "Unknown error",
+                ),
+              );
+            }
+          },
+        );
+      });
+    });
+
+    logDebug(
+      `[DUPLICATE] ✓ Tab successfully duplicated. New tab ID: ${result.newTabId}`,
+    );
+    return result;
+  } catch (error) {
+    logDebug(`[DUPLICATE] Failed: ${error.message}`);
+    throw error;
+  }
+}
+
+// ========================================================================
+// Bypass Extension Bridge (`bpc_status`)
+// ========================================================================
+// background.js answers {request: "bpc_status", data: {url}} with the
+// extension's state for a URL:
+//
+//   { ext_version, automation, url, domain, enabled, excluded,
+//     rules: { block_regex, useragent, ld_json, cs_code, ... },
+//     completion: { state: "running" | "done", success, failed, tasks,
+//                   rules, updated } | null }
+//
+// `completion` is the lifecycle contentScript.js reports once its
+// cs_default passes, custom-rule timers, archive/JSON fetches and func_post
+// have settled (`failed` names the tasks that did not succeed). The page
+// itself gets html[data-bpc-state] and a "bpc:lifecycle" event, plus
+// html[data-bpc-tab] with its tab id, so the status of a pooled page is
+// not confused with another tab on the same URL.
+//
+// A page cannot message its own extension's background, so the server
+// calls the same bpc_status() handler inside the background context
+// (MV2 background page or MV3 service worker). The context is found by
+// probing each extension target and cached per browser.
+
+const bridgeContexts = new WeakMap();
+// Extension targets already found not to be the bypass extension
+const otherTargets = new WeakSet();
+
+// The background context of an extension target, or null.
+async function backgroundContext(target) {
+  if (target.type() === "service_worker") return target.worker();
+  if (target.type() === "background_page") return target.page();
+  return null;
+}
+
+async function findBridgeContext(browser, logDebug) {
+  const cached = bridgeContexts.get(browser);
+  if (cached) return cached;
+  const targets = browser
+    .targets()
+    .filter(
+      (t) =>
+        ["service_worker", "background_page"].includes(t.type()) &&
+        t.url().startsWith("chrome-extension://") &&
+        !otherTargets.has(t),
+    );
+  for (const target of targets) {
+    try {
+      const context = await backgroundContext(target);
+      if (
+        context &&
+        (await context.evaluate(() => typeof bpc_status === "function"))
+      ) {
+        logDebug(`[BRIDGE] Found bypass extension at ${target.url()}`);
+        bridgeContexts.set(browser, context);
+        return context;
+      }
+      otherTargets.add(target);
+    } catch (e) {
+      // not an extension we can evaluate in
+    }
+  }
+  return null;
+}
+
+// The tab id contentScript.js stored on the page, or null before the
+// extension has handled it.
+async function pageTabId(page) {
+  const id = await page
+    .evaluate(() =>
+      document.documentElement
+        ? document.documentElement.getAttribute("data-bpc-tab")
+        : null,
+    )
+    .catch(() => null);
+  return id ? Number(id) : null;
+}
+
+// Resolves to the extension's bpc_status for the page, or null when the
+// bypass extension is not loaded (or its worker is asleep).
+async function extensionStatus(page, logDebug = () => {}) {
+  const browser = page.browser();
+  const url = page.url();
+  const tabId = await pageTabId(page);
+  for (let tries = 0; tries < 2; tries++) {
+    const context = await findBridgeContext(browser, logDebug);
+    if (!context) return null;
+    try {
+      return await context.evaluate((u, t) => bpc_status(u, t), url, tabId);
+    } catch (e) {
+      // The worker was restarted: look it up again
+      logDebug(`[BRIDGE] bpc_status failed: ${e.message}`);
+      bridgeContexts.delete(browser);
+    }
+  }
+  return null;
+}
+
+// Polls bpc_status until contentScript.js reports completion for the
+// page, or the site is not handled by the extension. Resolves to the last
+// status; throws on timeout.
+async function waitForExtension(page, timeout, logDebug = () => {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const status = await extensionStatus(page, logDebug);
+    if (!status) {
+      logDebug("[BRIDGE] Bypass extension not reachable, not waiting.");
+      return null;
+    }
+    if (!status.enabled || status.excluded) return status;
+    if (status.completion && status.completion.state === "done") {
+      return status;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `Waiting for the bypass extension to finish timeout ${timeout}ms exceeded`,
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+}
+
+// ========================================================================
+// Bypass Extension Automation Seed
+// ========================================================================
+// A fresh profile would get the extension's opt-in tab, the options page
+// on updates and remote update checks. Before browsers are launched, an
+// automation.json seed is written into every configured bypass extension
+// (the paths with a sites.js), which background.js reads at startup:
+//
+//   { automation: true, storage: { ...EXTENSION_STORAGE_SEED } }
+//
+// Automation mode enables all default sites plus "Enable new sites by
+// default" and the opt-ins, so every profile starts in the same state.
+// `storage` overrides those settings. A managed storage policy with the
+// same keys (managed_schema.json) works without the seed file.
+// Opt-in with EXTENSION_AUTOMATION=1, since it writes into the extension
+// directories; without it the extensions are left untouched.
+
+let seeded = false;
+
+function writeAutomationSeed(logDebug = () => {}) {
+  if (seeded || !envBool("EXTENSION_AUTOMATION", false)) return;
+  // A bad seed file throws here and is retried on the next launch
+  const storage = process.env.EXTENSION_STORAGE_SEED
+    ? JSON.parse(fs.readFileSync(process.env.EXTENSION_STORAGE_SEED, "utf8"))
+    : {};
+  seeded = true;
+  const seed = JSON.stringify({ automation: true, storage }, null, 2);
+  for (const extensionPath of getExtensionPaths()) {
+    if (!fs.existsSync(path.join(extensionPath, "sites.js"))) continue;
+    try {
+      fs.writeFileSync(path.join(extensionPath, "automation.json"), seed);
+      logDebug(`[SEED] Automation mode seeded for ${extensionPath}`);
+    } catch (error) {
+      console.warn(
+        `[SEED] Could not write automation seed to ${extensionPath}: ${error.message}`,
+      );
+    }
+  }
+}
+
+module.exports = {
+  duplicateTabViaExtension,
+  extensionStatus,
+  waitForExtension,
+  writeAutomationSeed,
+};
@@ -0,0 +1,171 @@
+const { ScrapeError } = require("./errors");
+
+// ========================================================================
+// Named Field Extraction (`fields`)
+// ========================================================================
+// Extracts several values from one page load instead of one `selector`:
+//
+//   fields: {
+//     title:  { css: "h1" },
+//     body:   { css: "article p", all: true },
+//     author: { css: "a[rel=author]", mode: "attribute", attribute: "href" },
+//     date:   { xpath: "//time/@datetime", required: true },
+//     tags:   { css: ".tag", all: true, default: [] },
+//   }
+//
+//   css | xpath   where to look (one of them)
+//   mode          "text" (default, trimmed innerText), "html" (outerHTML)
+//                 or "attribute" (with `attribute`); XPath attribute and
+//                 text nodes always give their value
+//   all           every match as an array instead of the first one
+//   required      fail with SELECTOR_NOT_FOUND when nothing matches
+//   default       value for an optional field that matched nothing
+//                 (null, or [] with `all`)
+//
+// The reply is a JSON object keyed by field name, or the `fields` entry
+// of the json format envelope. A request with `fields` needs no selector.
+
+const FIELD_MODES = ["text", "html", "attribute"];
+
+// Returns an error message when `fields` is not a valid field map.
+function validateFields(spec) {
+  const { fields } = spec;
+  if (fields === undefined) return null;
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    return "fields must be an object of { name: { css | xpath, ... } }";
+  }
+  if (Object.keys(fields).length === 0) return "fields must not be empty";
+  if (spec.format !== undefined && spec.format !== "json") {
+    return 'fields return a JSON object: use format "json" or no format';
+  }
+  for (const [name, field] of Object.entries(fields)) {
+    if (!field || typeof field !== "object") {
+      return `fields.${name} must be an object`;
+    }
+    if (!field.css === !field.xpath) {
+      return `fields.${name} needs exactly one of css or xpath`;
+    }
+    const mode = field.mode || "text";
+    if (!FIELD_MODES.includes(mode)) {
+      return `fields.${name}: unknown mode "${mode}". Expected one of: ${FIELD_MODES.join(", ")}`;
+    }
+    if (mode === "attribute" && !field.attribute) {
+      return `fields.${name}: attribute mode requires an attribute`;
+    }
+  }
+  return null;
+}
+
+// Runs in the browser: must stay self-contained. Resolves to
+// { name: [values...] } with every match of every field.
+function extractFieldsInPage(fields) {
+  const valueOf = (node, field) => {
+    if (node === null || typeof node !== "object") return node;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return node.nodeValue === null ? null : node.nodeValue.trim();
+    }
+    switch (field.mode || "text") {
+      case "html":
+        return node.outerHTML;
+      case "attribute":
+        return node.getAttribute(field.attribute);
+      default:
+        return (node.innerText ?? node.textContent ?? "").trim();
+    }
+  };
+  const xpathNodes = (expression) => {
+    const result = document.evaluate(
+      expression,
+      document,
+      null,
+      XPathResult.ANY_TYPE,
+      null,
+    );
+    switch (result.resultType) {
+      case XPathResult.NUMBER_TYPE:
+        return [result.numberValue];
+      case XPathResult.STRING_TYPE:
+        return result.stringValue ? [result.stringValue] : [];
+      case XPathResult.BOOLEAN_TYPE:
+        return [result.booleanValue];
+    }
+    const nodes = [];
+    let node;
+    while ((node = result.iterateNext())) nodes.push(node);
+    return nodes;
+  };
+
+  const values = {};
+  for (const [name, field] of Object.entries(fields)) {
+    const nodes = field.css
+      ? [...document.querySelectorAll(field.css)]
+      : xpathNodes(field.xpath);
+    values[name] = (field.all ? nodes : nodes.slice(0, 1))
+      .map((node) => valueOf(node, field))
+      .filter((value) => value !== null && value !== undefined);
+  }
+  return values;
+}
+
+// Extracts `spec.fields` from the loaded page. Required CSS fields are
+// waited for (up to the selector timeout) like the single selector.
+async function extractFields(page, spec, logDebug = () => {}) {
+  const { fields } = spec;
+  for (const [name, field] of Object.entries(fields)) {
+    if (!field.required || !field.css) continue;
+    logDebug(`[FIELDS] Waiting for required field "${name}": ${field.css}`);
+    try {
+      await page.waitForSelector(field.css, {
+        timeout: spec.timeouts.selector,
+      });
+    } catch (error) {
+      throw new ScrapeError(
+        "SELECTOR_NOT_FOUND",
+        `Required field "${name}" not found (selector "${field.css}")`,
+        { cause: error },
+      );
+    }
+  }
+
+  let found;
+  try {
+    found = await page.evaluate(extractFieldsInPage, fields);
+  } catch (error) {
+    throw new ScrapeError(
+      "INVALID_SELECTOR",
+      `Field extraction failed: ${error.message}`,
+      { cause: error },
+    );
+  }
+
+  const values = {};
+  for (const [name, field] of Object.entries(fields)) {
+    const matches = found[name];
+    if (matches.length === 0) {
+      if (field.required) {
+        throw new ScrapeError(
+          "SELECTOR_NOT_FOUND",
+          `Required field "${name}" not found (${field.css ? "selector" : "xpath"} "${field.css || field.xpath}")`,
+        );
+      }
+      values[name] = field.default !== undefined
+        ? field.default
+        : field.all
+          ? []
+          : null;
+    } else {
+      values[name] = field.all ? matches : matches[0];
+    }
+  }
+  logDebug(
+    `[FIELDS] Extracted ${Object.keys(values).length} fields (${Object.entries(found)
+      .map(([name, m]) => `${name}=${m.length}`)
+      .join(", ")}).`,
+  );
+  return values;
+}
+
+module.exports = {
+  validateFields,
+  extractFields,
+};
@@ -0,0 +1,279 @@
+// ========================================================================
+// Output Formats (`format: html | text | markdown | json`)
+// ========================================================================
+// Without `format` the legacy replies are kept: CSS mode answers
+// text/html, XPath mode a bare JSON array, article mode a JSON object.
+// The png, jpeg and pdf formats are page captures (see capture.js), and
+// singlefile, mhtml and warc whole-page archives (see archive.js).
+
+const FORMATS = [
+  "html",
+  "text",
+  "markdown",
+  "json",
+  "png",
+  "jpeg",
+  "pdf",
+  "singlefile",
+  "mhtml",
+  "warc",
+];
+
+// Runs in the browser: converts HTML fragments to plain text or
+// markdown. Must stay self-contained.
+function convertInPage(htmls, target) {
+  // An inert document, so parsing does not load images or run handlers
+  const container = document.implementation
+    .createHTMLDocument("")
+    .createElement("div");
+
+  const collapse = (str) => str.replace(/\s+/g, " ");
+  const absUrl = (url) => {
+    try {
+      return url ? new URL(url, document.baseURI).href : "";
+    } catch (e) {
+      return url || "";
+    }
+  };
+
+  const BLOCKS = [
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DIV", "DL", "DT", "DD",
+    "FIELDSET", "FIGCAPTION", "FIGURE", "FOOTER", "FORM", "H1", "H2",
+    "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL",
+    "P", "PRE", "SECTION", "TABLE", "TR", "UL",
+  ];
+  const SKIP = ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG"];
+
+  // --- Plain text ---
+  const toText = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return collapse(node.nodeValue);
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+    if (SKIP.includes(node.tagName)) return "";
+    if (node.tagName === "BR") return "\n";
+    if (node.tagName === "IMG") return "";
+    if (node.tagName === "PRE") return "\n\n" + node.textContent + "\n\n";
+    let inner = "";
+    node.childNodes.forEach((child) => {
+      inner += toText(child);
+    });
+    if (node.tagName === "LI")
+      return "\n- " + inner.trim().replace(/\n{2,}/g, "\n");
+    if (node.tagName === "TD" || node.tagName === "TH") return inner.trim() + "\t";
+    return BLOCKS.includes(node.tagName) ? "\n\n" + inner.trim() + "\n\n" : inner;
+  };
+
+  // --- Markdown ---
+  const escapeMd = (str) => str.replace(/([\\`*_[\]])/g, "\\$1");
+  const image = (img) => {
+    const src = absUrl(img.getAttribute("src") || img.getAttribute("data-src"));
+    if (!src) return "";
+    const alt = (img.getAttribute("alt") || "").replace(/[[\]]/g, "");
+    return `![${alt}](${src})`;
+  };
+  const list = (node, depth) => {
+    const ordered = node.tagName === "OL";
+    let index = parseInt(node.getAttribute("start") || "1", 10);
+    let out = "";
+    for (const child of node.children) {
+      if (child.tagName !== "LI") continue;
+      const marker = ordered ? `${index++}.` : "-";
+      let body = "";
+      let nested = "";
+      child.childNodes.forEach((c) => {
+        if (c.nodeType === Node.ELEMENT_NODE && (c.tagName === "UL" || c.tagName === "OL")) {
+          nested += list(c, depth + 1);
+        } else {
+          body += toMd(c, depth);
+        }
+      });
+      out +=
+        "  ".repeat(depth) +
+        marker +
+        " " +
+        body.trim().replace(/\n+/g, " ") +
+        "\n" +
+        nested;
+    }
+    return depth === 0 ? "\n\n" + out + "\n" : out;
+  };
+  const toMd = (node, depth = 0) => {
+    if (node.nodeType === Node.TEXT_NODE) return escapeMd(collapse(node.nodeValue));
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+    const tag = node.tagName;
+    if (SKIP.includes(tag)) return "";
+    const inner = () => {
+      let out = "";
+      node.childNodes.forEach((child) => {
+        out += toMd(child, depth);
+      });
+      return out;
+    };
+    switch (tag) {
+      case "H1":
+      case "H2":
+      case "H3":
+      case "H4":
+      case "H5":
+      case "H6":
+        return "\n\n" + "#".repeat(Number(tag[1])) + " " + inner().trim() + "\n\n";
+      case "P":
+        return "\n\n" + inner().trim() + "\n\n";
+      case "BR":
+        return "  \n";
+      case "HR":
+        return "\n\n---\n\n";
+      case "STRONG":
+      case "B": {
+        const text = inner().trim();
+        return text ? `**${text}**` : "";
+      }
+      case "EM":
+      case "I": {
+        const text = inner().trim();
+        return text ? `*${text}*` : "";
+      }
+      case "CODE":
+        return node.closest("pre") ? node.textContent : "`" + node.textContent + "`";
+      case "PRE":
+        return "\n\n```\n" + node.textContent.replace(/\n$/, "") + "\n```\n\n";
+      case "A": {
+        const text = inner().trim();
+        const href = absUrl(node.getAttribute("href"));
+        if (!href || href.startsWith("javascript:")) return text;
+        return text ? `[${text}](${href})` : "";
+      }
+      case "IMG":
+        return image(node);
+      case "FIGURE": {
+        // As built by makeFigure() in contentScript.js: img + figcaption
+        const imgs = [...node.querySelectorAll("img")].map(image).filter(Boolean);
+        const caption = node.querySelector("figcaption");
+        const captionText = caption ? toMd(caption, depth).trim() : "";
+        return (
+          "\n\n" +
+          imgs.join("\n") +
+          (captionText ? "\n*" + captionText.replace(/\n+/g, " ") + "*" : "") +
+          "\n\n"
+        );
+      }
+      case "FIGCAPTION":
+        return inner();
+      case "UL":
+      case "OL":
+        return list(node, depth);
+      case "BLOCKQUOTE":
+        return (
+          "\n\n" +
+          inner()
+            .trim()
+            .split("\n")
+            .map((line) => "> " + line)
+            .join("\n") +
+          "\n\n"
+        );
+      default:
+        return BLOCKS.includes(tag) ? "\n\n" + inner().trim() + "\n\n" : inner();
+    }
+  };
+
+  const convert = target === "markdown" ? toMd : toText;
+  return htmls.map((html) => {
+    container.innerHTML = html;
+    return convert(container)
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  });
+}
+
+// Returns an error message when `format` is not supported.
+function validateFormat(format) {
+  if (format === undefined || FORMATS.includes(format)) return null;
+  return `Unsupported format "${format}". Expected one of: ${FORMATS.join(", ")}`;
+}
+
+// Builds the `{ contentType, data }` reply for a finished extraction.
+// `extraction` carries the raw matches plus page metadata.
+async function formatResult(page, spec, extraction) {
+  const { format, method = "css" } = spec;
+  const { matches, legacy } = extraction;
+
+  if (format === undefined) return legacy;
+
+  // Non-string XPath results (numbers, booleans) are kept as-is in JSON
+  // and stringified for the textual formats.
+  const asStrings = matches.map((m) =>
+    m === null || m === undefined ? "" : String(m),
+  );
+
+  switch (format) {
+    case "html":
+      return {
+        contentType: "text/html",
+        data: asStrings.join("\n"),
+      };
+    case "text":
+    case "markdown": {
+      const converted = await page.evaluate(
+        convertInPage,
+        asStrings,
+        format,
+      );
+      return {
+        contentType:
+          format === "markdown" ? "text/markdown" : "text/plain",
+        data: converted.filter((c) => c.length > 0).join("\n\n"),
+      };
+    }
+    case "json":
+      return {
+        contentType: "application/json",
+        data: {
+          url: spec.url,
+          finalUrl: extraction.finalUrl,
+          status: extraction.status,
+          selector: spec.selector || null,
+          method,
+          profile: spec.profile || null,
+          proxy: extraction.proxy || null,
+          matches,
+          ...(extraction.fields ? { fields: extraction.fields } : {}),
+          ...(extraction.frame ? { frame: extraction.frame } : {}),
+          ...(extraction.article
+            ? { article: extraction.article }
+            : {}),
+          timings: extraction.timings,
+          ...(extraction.actions && extraction.actions.length > 0
+            ? { actions: extraction.actions }
+            : {}),
+          ...(extraction.waits ? { waits: extraction.waits } : {}),
+          ...(extraction.detection
+            ? {
+                paywallDetected: extraction.detection.paywallDetected,
+                truncated: extraction.detection.truncated,
+                bpcFailure: extraction.detection.bpcFailure,
+                captcha: extraction.detection.captcha,
+              }
+            : {}),
+          ...(extraction.extension
+            ? {
+                extension: {
+                  domain: extraction.extension.domain,
+                  enabled: extraction.extension.enabled,
+                  rules: extraction.extension.rules,
+                  completion: extraction.extension.completion,
+                },
+              }
+            : {}),
+          extractedAt: new Date().toISOString(),
+        },
+      };
+  }
+  throw new Error(validateFormat(format));
+}
+
+module.exports = {
+  FORMATS,
+  validateFormat,
+  formatResult,
+};
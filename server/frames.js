@@ -0,0 +1,168 @@
+const { ScrapeError } = require("./errors");
+
+// ========================================================================
+// Frame and Shadow-DOM Selectors
+// ========================================================================
+// Publisher embeds and consent layers often live in iframes or shadow
+// roots (the extension injects into every frame for cs_all_frames sites).
+// Selectors can reach into both:
+//
+//   my-app >>> article .body        ">>>" pierces shadow roots (CSS only,
+//                                   Puppeteer's deep combinator)
+//   frame(name=comments) .comment   in the iframe named "comments"
+//   frame(url=*player.example/*) h1 in the first iframe whose URL matches
+//                                   the glob (* matches anything)
+//   frame(name=outer) frame(url=*inner*) p
+//                                   nested iframes, outermost first
+//
+// `frames: "all"` searches the main frame and then every iframe, for
+// selectors without a frame() prefix. Results say which frame matched
+// (`frame: { url, name, main }` in the json envelope, X-Scrape-Frame).
+// Used for the request selector (CSS and XPath) and capture clipping.
+
+const FRAME_MODES = ["main", "all"];
+const FRAME_PREFIX = /^\s*frame\((name|url)=([^)]*)\)\s*/;
+
+// Splits the frame() prefixes off a selector: `{ frames: [{ by, value }],
+// selector }`.
+function parseSelector(selector) {
+  const frames = [];
+  let rest = selector || "";
+  let match;
+  while ((match = FRAME_PREFIX.exec(rest))) {
+    frames.push({ by: match[1], value: match[2].trim() });
+    rest = rest.slice(match[0].length);
+  }
+  return { frames, selector: rest };
+}
+
+function globToRegExp(glob) {
+  return new RegExp(
+    "^" +
+      glob
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*") +
+      "$",
+  );
+}
+
+// Returns an error message when the frame options are invalid.
+function validateFrames(spec) {
+  if (spec.frames !== undefined && !FRAME_MODES.includes(spec.frames)) {
+    return `Unknown frames mode "${spec.frames}". Expected one of: ${FRAME_MODES.join(", ")}`;
+  }
+  if (!spec.selector) return null;
+  const { frames, selector } = parseSelector(spec.selector);
+  if (frames.length > 0 && !selector) {
+    return "selector has a frame() prefix but nothing to look for in the frame";
+  }
+  if (frames.some((f) => !f.value)) return "frame() needs a name or url";
+  if (spec.method === "xpath" && selector.includes(">>>")) {
+    return "Shadow-root piercing (>>>) is only supported for CSS selectors";
+  }
+  return null;
+}
+
+// True when the selector has to be looked up outside the main frame.
+function usesFrames(spec) {
+  return (
+    spec.frames === "all" || parseSelector(spec.selector).frames.length > 0
+  );
+}
+
+function descendants(frame) {
+  return frame
+    .childFrames()
+    .flatMap((child) => [child, ...descendants(child)]);
+}
+
+// The frames the selector applies to right now: the frame() chain's
+// target, or every frame with `frames: "all"`. Empty while a frame()
+// target has not loaded yet.
+function candidateFrames(page, spec) {
+  const { frames } = parseSelector(spec.selector);
+  const main = page.mainFrame();
+  if (frames.length === 0) {
+    return spec.frames === "all" ? [main, ...descendants(main)] : [main];
+  }
+  let current = main;
+  for (const step of frames) {
+    const pattern = step.by === "url" ? globToRegExp(step.value) : null;
+    current = descendants(current).find((frame) =>
+      pattern ? pattern.test(frame.url()) : frame.name() === step.value,
+    );
+    if (!current) return [];
+  }
+  return [current];
+}
+
+function describeFrame(frame) {
+  return {
+    url: frame.url(),
+    name: frame.name() || null,
+    main: !frame.parentFrame(),
+  };
+}
+
+// Frames detach while they navigate; the lookup is retried then.
+function isDetached(error) {
+  return /detached|Execution context was destroyed|Target closed/i.test(
+    error.message,
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs `lookup(frame, selector)` over the candidate frames until it
+// returns something, polling until `timeout`. Resolves to `{ frame,
+// value }`; throws SELECTOR_NOT_FOUND on timeout.
+async function findInFrames(page, spec, lookup, timeout, logDebug) {
+  const { selector } = parseSelector(spec.selector);
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const frames = candidateFrames(page, spec);
+    for (const frame of frames) {
+      try {
+        const value = await lookup(frame, selector);
+        if (value) {
+          logDebug(`[FRAMES] Matched in frame ${frame.url()}`);
+          return { frame, value };
+        }
+      } catch (error) {
+        if (!isDetached(error)) throw error;
+      }
+    }
+    if (Date.now() >= deadline) {
+      throw new ScrapeError(
+        "SELECTOR_NOT_FOUND",
+        frames.length === 0
+          ? `No frame matching "${spec.selector}" within ${timeout}ms`
+          : `Selector "${selector}" not found in ${frames.length} frame(s) within ${timeout}ms`,
+      );
+    }
+    await sleep(250);
+  }
+}
+
+// Waits for the element the request's selector points to in its frames.
+// Resolves to `{ frame, element }`.
+async function waitForElement(page, spec, logDebug = () => {}) {
+  const { frame, value } = await findInFrames(
+    page,
+    spec,
+    (f, selector) =>
+      f.$(spec.method === "xpath" ? `::-p-xpath(${selector})` : selector),
+    spec.timeouts.selector,
+    logDebug,
+  );
+  return { frame, element: value };
+}
+
+module.exports = {
+  validateFrames,
+  usesFrames,
+  describeFrame,
+  findInFrames,
+  waitForElement,
+};
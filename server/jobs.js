@@ -0,0 +1,312 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { envInt } = require("./config");
+const { classifyError, errorBody } = require("./errors");
+const { redactProxy } = require("./proxies");
+
+// ========================================================================
+// Job Store
+// ========================================================================
+// Keeps jobs in memory and, when `dir` is set, mirrors each job to
+// `<dir>/<id>.json` so finished results survive a restart. Finished jobs
+// expire `ttl` ms after completion; pending jobs never expire. Results
+// can be large (base64 PDFs, WARC archives), so at most `maxFinished`
+// finished jobs (JOBS_MAX_FINISHED) holding `maxResultBytes` of results
+// (JOBS_MAX_RESULT_BYTES, as JSON) are kept: past that the oldest are
+// dropped early, the newest one always stays.
+//
+// Writes of one job are queued behind each other and go through a
+// temporary file that is renamed into place, so the file always holds a
+// complete, latest copy. Proxy credentials from the spec are not written.
+class JobStore {
+  constructor({ ttl, dir, maxFinished, maxResultBytes } = {}) {
+    this.ttl = ttl ?? envInt("JOBS_TTL", 60 * 60 * 1000);
+    this.dir = dir ?? process.env.JOBS_DIR ?? null;
+    this.maxFinished = maxFinished ?? envInt("JOBS_MAX_FINISHED", 1000);
+    this.maxResultBytes =
+      maxResultBytes ?? envInt("JOBS_MAX_RESULT_BYTES", 256 * 1024 * 1024);
+    this.jobs = new Map();
+    // finished job id -> size of its result, oldest first
+    this.finished = new Map();
+    this.resultBytes = 0;
+    // job id -> last queued write or delete of its file
+    this.writes = new Map();
+  }
+
+  // Loads persisted jobs. Jobs that were still queued or running when
+  // the previous process stopped are marked as failed.
+  load() {
+    if (!this.dir) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith(".json")) continue;
+      const filePath = path.join(this.dir, file);
+      let job;
+      try {
+        job = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      } catch (e) {
+        console.warn(
+          `[JOBS] Skipping unreadable job file ${filePath}: ${e.message}`,
+        );
+        continue;
+      }
+      if (job.status === "queued" || job.status === "running") {
+        const now = Date.now();
+        Object.assign(job, {
+          status: "failed",
+          statusCode: 500,
+          error: {
+            error: "Scraping failed",
+            details: "Job interrupted by server restart",
+            type: "Error",
+          },
+          finishedAt: now,
+          expiresAt: now + this.ttl,
+        });
+        this.persist(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+    [...this.jobs.values()]
+      .filter((job) => job.finishedAt)
+      .sort((a, b) => a.finishedAt - b.finishedAt)
+      .forEach((job) => this.track(job));
+    this.sweep();
+    console.log(
+      `[JOBS] Loaded ${this.jobs.size} jobs from ${this.dir}`,
+    );
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    if (job && job.expiresAt && job.expiresAt <= Date.now()) {
+      this.delete(id);
+      return undefined;
+    }
+    return job;
+  }
+
+  save(job) {
+    this.jobs.set(job.id, job);
+    this.persist(job);
+    if (job.finishedAt) this.track(job);
+  }
+
+  // Counts a finished job against the limits, dropping the oldest
+  // finished jobs past them.
+  track(job) {
+    if (this.finished.has(job.id)) return;
+    const bytes = job.result ? JSON.stringify(job.result).length : 0;
+    this.finished.set(job.id, bytes);
+    this.resultBytes += bytes;
+    while (
+      this.finished.size > 1 &&
+      (this.finished.size > this.maxFinished ||
+        this.resultBytes > this.maxResultBytes)
+    ) {
+      const oldest = this.finished.keys().next().value;
+      console.warn(
+        `[JOBS] Dropping job ${oldest} before it expires to stay within JOBS_MAX_FINISHED/JOBS_MAX_RESULT_BYTES`,
+      );
+      this.delete(oldest);
+    }
+  }
+
+  persist(job) {
+    if (!this.dir) return;
+    const filePath = path.join(this.dir, `${job.id}.json`);
+    const data = JSON.stringify(storedJob(job));
+    this.queueWrite(job.id, async () => {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, filePath);
+    });
+  }
+
+  delete(id) {
+    this.jobs.delete(id);
+    if (this.finished.has(id)) {
+      this.resultBytes -= this.finished.get(id);
+      this.finished.delete(id);
+    }
+    if (!this.dir) return;
+    this.queueWrite(id, () =>
+      fs.promises.rm(path.join(this.dir, `${id}.json`), { force: true }),
+    );
+  }
+
+  queueWrite(id, write) {
+    const queued = (this.writes.get(id) || Promise.resolve())
+      .then(write)
+      .catch((e) =>
+        console.error(`[JOBS] Failed to persist job ${id}:`, e.message),
+      )
+      .finally(() => {
+        if (this.writes.get(id) === queued) this.writes.delete(id);
+      });
+    this.writes.set(id, queued);
+  }
+
+  // Resolves once every queued write has reached the disk.
+  async flush() {
+    await Promise.all([...this.writes.values()]);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const job of this.jobs.values()) {
+      if (job.expiresAt && job.expiresAt <= now) {
+        this.delete(job.id);
+      }
+    }
+  }
+}
+
+// The job as written to disk: the spec's proxy override keeps only the
+// proxy server.
+function storedJob(job) {
+  if (!job.spec || !job.spec.proxy) return job;
+  return { ...job, spec: { ...job.spec, proxy: redactProxy(job.spec.proxy) } };
+}
+
+// ========================================================================
+// Job Manager
+// ========================================================================
+// Queues scrape specs and runs them through `runner(spec, logDebug)` with
+// at most `concurrency` jobs in flight.
+class JobManager {
+  constructor(runner, options = {}) {
+    this.runner = runner;
+    this.store = options.store || new JobStore(options);
+    this.concurrency =
+      options.concurrency ?? envInt("JOBS_CONCURRENCY", 2);
+    this.maxQueued =
+      options.maxQueued ?? envInt("JOBS_MAX_QUEUED", 1000);
+    this.queue = [];
+    this.running = 0;
+    this.sweepTimer = null;
+    // job id -> callback run once the job has finished
+    this.onSettled = new Map();
+  }
+
+  start() {
+    this.store.load();
+    this.sweepTimer = setInterval(() => this.store.sweep(), 60000);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+  }
+
+  // Queues a spec and returns the new job, or null when the queue is full.
+  // `options.owner` names the API key that may read the job back and
+  // `options.onSettled` runs when the job has finished.
+  submit(spec, options = {}) {
+    if (this.queue.length >= this.maxQueued) return null;
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      owner: options.owner || null,
+      spec,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      statusCode: null,
+      error: null,
+      result: null,
+    };
+    this.store.save(job);
+    if (options.onSettled) this.onSettled.set(job.id, options.onSettled);
+    this.queue.push(job.id);
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.store.get(this.queue.shift());
+      if (!job) continue;
+      this.running++;
+      this.execute(job).finally(() => {
+        this.running--;
+        const onSettled = this.onSettled.get(job.id);
+        if (onSettled) {
+          this.onSettled.delete(job.id);
+          onSettled(job);
+        }
+        this.drain();
+      });
+    }
+  }
+
+  async execute(job) {
+    const debug = !!job.spec.debug;
+    const logDebug = (...args) => {
+      if (debug) {
+        console.log(`[JOB ${job.id}]`, ...args);
+      }
+    };
+
+    job.status = "running";
+    job.startedAt = Date.now();
+    this.store.save(job);
+
+    try {
+      const result = await this.runner(job.spec, logDebug);
+      job.status = "succeeded";
+      job.statusCode = 200;
+      job.result = result;
+    } catch (error) {
+      console.error(
+        `[JOBS] Job ${job.id} failed:`,
+        error.message,
+      );
+      job.status = "failed";
+      job.statusCode = classifyError(error);
+      job.error = errorBody(error, debug);
+    }
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + this.store.ttl;
+    this.store.save(job);
+  }
+
+  stats() {
+    return {
+      queued: this.queue.length,
+      running: this.running,
+    };
+  }
+}
+
+// Public view of a job, without the (possibly large) result payload.
+function jobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    statusCode: job.statusCode,
+    error: job.error,
+    url: job.spec.url,
+    selector: job.spec.selector,
+    method: job.spec.method || "css",
+    format: job.spec.format || null,
+    profile: job.spec.profile || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    expiresAt: job.expiresAt,
+    resultUrl: `/jobs/${job.id}/result`,
+  };
+}
+
+module.exports = {
+  JobStore,
+  JobManager,
+  jobStatus,
+};
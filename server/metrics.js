@@ -0,0 +1,247 @@
+const { envList } = require("./config");
+const { describeError } = require("./errors");
+const { matchUrlDomain } = require("./profiles");
+
+// ========================================================================
+// Metrics
+// ========================================================================
+// A minimal Prometheus registry: counters and histograms are updated as
+// scrapes run, gauges are read from their `collect` callback when /metrics
+// is rendered. Everything is exposed in the text exposition format.
+
+// Phase durations are observed in seconds.
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+function labelKey(labels) {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((k) => [k, String(labels[k])]),
+  );
+}
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return String(value);
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = "counter";
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    const current = this.values.get(key);
+    if (current) {
+      current.value += value;
+    } else {
+      this.values.set(key, { labels, value });
+    }
+  }
+
+  lines() {
+    return [...this.values.values()].map(
+      (v) => `${this.name}${formatLabels(v.labels)} ${formatValue(v.value)}`,
+    );
+  }
+}
+
+// `collect()` returns a number, or a list of `{ labels, value }`.
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = "gauge";
+    this.collect = collect;
+  }
+
+  lines() {
+    let samples;
+    try {
+      samples = this.collect();
+    } catch (e) {
+      console.error(`[METRICS] Failed to collect ${this.name}: ${e.message}`);
+      return [];
+    }
+    if (typeof samples === "number") samples = [{ labels: {}, value: samples }];
+    return samples.map(
+      (s) => `${this.name}${formatLabels(s.labels || {})} ${formatValue(s.value)}`,
+    );
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = "histogram";
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = {
+        labels,
+        counts: new Array(this.buckets.length).fill(0),
+        sum: 0,
+        count: 0,
+      };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    const lines = [];
+    for (const series of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`,
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`,
+      );
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(
+        `${this.name}_count${formatLabels(series.labels)} ${series.count}`,
+      );
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  render() {
+    const out = [];
+    for (const metric of this.metrics.values()) {
+      out.push(`# HELP ${metric.name} ${metric.help}`);
+      out.push(`# TYPE ${metric.name} ${metric.type}`);
+      out.push(...metric.lines());
+    }
+    return out.join("\n") + "\n";
+  }
+}
+
+// ========================================================================
+// Scrape Metrics
+// ========================================================================
+const registry = new MetricsRegistry();
+
+const scrapesTotal = registry.counter(
+  "scraper_requests_total",
+  "Scrape requests by target domain (METRICS_DOMAINS or the site profiles, else other) and outcome (HTTP status returned to the client and error code).",
+);
+const cacheLookups = registry.counter(
+  "scraper_cache_total",
+  "Response cache lookups by result (HIT, MISS, REVALIDATED, REFRESH, BYPASS).",
+);
+const retries = registry.counter(
+  "scraper_retries_total",
+  "Scrape retries by escalation strategy.",
+);
+const phaseDuration = registry.histogram(
+  "scraper_phase_duration_seconds",
+  "Duration of the browser launch, lease, navigation and extraction phases.",
+);
+
+// The `domain` label: the METRICS_DOMAINS entry the url belongs to, or
+// without METRICS_DOMAINS the domain of its site profile, else "other",
+// so arbitrary urls cannot grow the number of series.
+function metricDomain(url, profiles = null) {
+  if (typeof url !== "string") return "other";
+  const domains = envList("METRICS_DOMAINS");
+  if (domains.length > 0) return matchUrlDomain(domains, url) || "other";
+  const matched = profiles ? profiles.match(url) : null;
+  return matched ? matched.domain : "other";
+}
+
+// Records the phase durations of one attempt.
+function recordPhases(timings) {
+  for (const phase of ["lease", "navigation", "extraction"]) {
+    if (timings[phase] !== undefined) {
+      phaseDuration.observe({ phase }, timings[phase] / 1000);
+    }
+  }
+}
+
+// Records a finished scrape request, once whatever the number of
+// attempts: `error` is null on success. `profiles` (a ProfileRegistry)
+// labels it when METRICS_DOMAINS is not set.
+function recordScrape(spec, error = null, profiles = null) {
+  const { statusCode, code } = error
+    ? describeError(error)
+    : { statusCode: 200, code: "OK" };
+  scrapesTotal.inc({
+    domain: metricDomain(spec.url, profiles),
+    status: statusCode,
+    code,
+  });
+}
+
+function recordLaunch(ms) {
+  phaseDuration.observe({ phase: "launch" }, ms / 1000);
+}
+
+function recordRetry(strategy) {
+  retries.inc({ strategy });
+}
+
+function recordCache(status) {
+  cacheLookups.inc({ result: status });
+}
+
+module.exports = {
+  MetricsRegistry,
+  registry,
+  recordScrape,
+  recordPhases,
+  recordLaunch,
+  recordCache,
+  recordRetry,
+};
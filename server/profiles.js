@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+
+// ========================================================================
+// Site Profiles
+// ========================================================================
+// Profiles are loaded from PROFILES_DIR (default: ./profiles), one object
+// per .json/.js file keyed by site title, like defaultSites in sites.js:
+//
+//   "Wall Street Journal": {
+//     domain: "wsj.com",            // or "###_group" with group: [...]
+//     selector: "article",
+//     method: "css",
+//     userAgent: "...",
+//     viewport: { width: 1280, height: 720 },
+//     timeouts: { navigation: 45000, selector: 15000 },
+//     waitUntil: "networkidle2",
+//     postNavDelay: 2000,             // or wait: [...] (see wait.js)
+//     actions: [{ type: "duplicateTab" }, { type: "scroll", y: 200 }],
+//     proxy: "socks5://host:1080",    // or false for a direct connection
+//     cacheTtl: 600000,               // response cache TTL (see cache.js)
+//     pdf: { format: "Letter" },      // capture options (see capture.js)
+//     paywallSelectors: ["div.meter"], // extra markers (see detection.js)
+//     fields: { title: { css: "h1" } }, // named fields (see fields.js)
+//     archiveFallback: true,          // see archive-fallback.js
+//     archiveSelector: "div#CONTENT",
+//   }
+//
+// Request fields always win over profile fields, which win over the
+// built-in defaults below.
+
+const DEFAULT_PROFILE = {
+  userAgent:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36",
+  viewport: { width: 1280, height: 720 },
+  timeouts: { navigation: 45000, selector: 15000 },
+  waitUntil: "networkidle2",
+  actions: [
+    { type: "mouseMove", x: 100, y: 100 },
+    { type: "scroll", y: 200 },
+  ],
+};
+
+// Fields a request may set to override its profile.
+const OVERRIDABLE = [
+  "selector",
+  "method",
+  "userAgent",
+  "viewport",
+  "timeouts",
+  "waitUntil",
+  "postNavDelay",
+  "wait",
+  "actions",
+  "proxy",
+  "cacheTtl",
+  "capture",
+  "pdf",
+  "detection",
+  "paywallSelectors",
+  "retry",
+  "fields",
+  "frames",
+  "archiveFallback",
+  "archiveSelector",
+];
+
+// Same semantics as matchDomain/urlHost/matchUrlDomain in background.js
+function matchDomain(domains, hostname = "") {
+  if (typeof domains === "string") domains = [domains];
+  return (
+    domains.find(
+      (domain) =>
+        hostname === domain || hostname.endsWith("." + domain),
+    ) || false
+  );
+}
+
+function urlHost(url) {
+  if (/^http/.test(url)) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      console.log(`url not valid: ${url} error: ${e}`);
+    }
+  }
+  return url;
+}
+
+function matchUrlDomain(domains, url) {
+  return matchDomain(domains, urlHost(url));
+}
+
+class ProfileRegistry {
+  constructor(dir) {
+    this.dir =
+      dir ||
+      process.env.PROFILES_DIR ||
+      path.join(__dirname, "..", "profiles");
+    this.profiles = [];
+  }
+
+  // (Re)loads every profile file. A broken file is reported and skipped.
+  load() {
+    this.profiles = [];
+    if (!fs.existsSync(this.dir)) {
+      console.log(`[PROFILES] No profile directory at ${this.dir}`);
+      return;
+    }
+    const files = fs
+      .readdirSync(this.dir)
+      .filter((f) => f.endsWith(".json") || f.endsWith(".js"))
+      .sort();
+    for (const file of files) {
+      const filePath = path.join(this.dir, file);
+      let sites;
+      try {
+        if (file.endsWith(".js")) {
+          delete require.cache[require.resolve(filePath)];
+          sites = require(filePath);
+        } else {
+          sites = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        }
+      } catch (e) {
+        console.error(
+          `[PROFILES] Failed to load ${filePath}: ${e.message}`,
+        );
+        continue;
+      }
+      for (const [title, rule] of Object.entries(sites)) {
+        this.add(title, rule, file);
+      }
+    }
+    console.log(
+      `[PROFILES] Loaded ${this.profiles.length} profiles from ${this.dir}`,
+    );
+  }
+
+  add(title, rule, file = null) {
+    if (!rule || typeof rule.domain !== "string") {
+      console.warn(
+        `[PROFILES] Skipping "${title}"${file ? ` in ${file}` : ""}: missing domain`,
+      );
+      return;
+    }
+    // Grouped sites: "###_name" domain with the real domains in `group`
+    const domains = Array.isArray(rule.group)
+      ? rule.group
+      : [rule.domain];
+    this.profiles.push({ title, domains, rule });
+  }
+
+  // Returns `{ title, domain, rule }` for the profile matching `url`,
+  // preferring the most specific (longest) matching domain.
+  match(url) {
+    let best = null;
+    let bestDomain = "";
+    for (const profile of this.profiles) {
+      const domain = matchUrlDomain(profile.domains, url);
+      if (domain && domain.length > bestDomain.length) {
+        best = profile;
+        bestDomain = domain;
+      }
+    }
+    return best
+      ? { title: best.title, domain: bestDomain, rule: best.rule }
+      : null;
+  }
+
+  list() {
+    return this.profiles.map((p) => ({
+      title: p.title,
+      domains: p.domains,
+      ...p.rule,
+    }));
+  }
+}
+
+// Merges request fields over the matching profile over the defaults.
+// The returned spec carries the matched profile title in `profile`.
+function resolveScrapeSpec(registry, request) {
+  // A non-string url is left for validateScrapeSpec to reject
+  const matched =
+    registry && request && typeof request.url === "string"
+      ? registry.match(request.url)
+      : null;
+  const rule = matched ? matched.rule : {};
+  const spec = { ...DEFAULT_PROFILE };
+  for (const key of OVERRIDABLE) {
+    if (rule[key] !== undefined) spec[key] = rule[key];
+  }
+  for (const [key, value] of Object.entries(request || {})) {
+    if (value !== undefined) spec[key] = value;
+  }
+  spec.timeouts = {
+    ...DEFAULT_PROFILE.timeouts,
+    ...(rule.timeouts || {}),
+    ...((request && request.timeouts) || {}),
+  };
+  spec.method = spec.method || "css";
+  spec.profile = matched ? matched.title : null;
+  return spec;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  ProfileRegistry,
+  resolveScrapeSpec,
+  matchDomain,
+  matchUrlDomain,
+  urlHost,
+};
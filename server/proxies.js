@@ -0,0 +1,239 @@
+const fs = require("fs");
+const { envInt } = require("./config");
+const { classifyError } = require("./errors");
+
+// ========================================================================
+// Upstream Proxies
+// ========================================================================
+// The pool is configured from PROXY_URL (one proxy), PROXY_POOL (comma
+// separated URLs) and/or PROXIES_FILE (JSON array of URLs or
+// { url, username, password, name } objects). Requests may pass `proxy`
+// as a URL or object to pick a pool proxy, or `proxy: false` / "direct"
+// to connect without one. Proxies outside the pool would let a client
+// reach any host from the server, so they need the API key's
+// `customProxies` permission (ALLOW_CUSTOM_PROXIES without auth, see
+// auth.js).
+//
+// PROXY_SELECTION picks the pool strategy: "round-robin" (default) or
+// "least-failures". After PROXY_FAILURE_THRESHOLD consecutive network
+// failures (the net::ERR_ errors classified as 502) a proxy is marked bad
+// and skipped for PROXY_COOLDOWN ms.
+
+// Parses a proxy URL or object into `{ id, name, server, username,
+// password }`. `server` is what Chromium's --proxy-server expects.
+function parseProxy(value) {
+  const spec = typeof value === "string" ? { url: value } : value;
+  if (!spec || typeof spec.url !== "string") {
+    throw new Error(`Invalid proxy: ${JSON.stringify(value)}`);
+  }
+  let url;
+  try {
+    url = new URL(spec.url.includes("://") ? spec.url : `http://${spec.url}`);
+  } catch (e) {
+    throw new Error(`Invalid proxy URL: ${spec.url}`);
+  }
+  const server = `${url.protocol}//${url.host}`;
+  return {
+    id: server,
+    name: spec.name || server,
+    server,
+    username:
+      spec.username ?? (url.username ? decodeURIComponent(url.username) : null),
+    password:
+      spec.password ?? (url.password ? decodeURIComponent(url.password) : null),
+  };
+}
+
+// Returns an error message when a request `proxy` override is invalid.
+function validateProxy(proxy) {
+  if (proxy === undefined || proxy === null || proxy === false) return null;
+  if (proxy === "direct") return null;
+  try {
+    parseProxy(proxy);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+// A request `proxy` override without its credentials, for what is
+// stored or logged: the proxy server, or the override itself when it
+// names no proxy.
+function redactProxy(proxy) {
+  if (!proxy || proxy === "direct") return proxy;
+  try {
+    return parseProxy(proxy).server;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Network errors (the ones /scrape answers with 502) count against the
+// proxy the request went through.
+function isProxyFailure(error) {
+  return classifyError(error) === 502;
+}
+
+class ProxyPool {
+  constructor(options = {}) {
+    this.selection =
+      options.selection || process.env.PROXY_SELECTION || "round-robin";
+    this.failureThreshold =
+      options.failureThreshold ?? envInt("PROXY_FAILURE_THRESHOLD", 3);
+    this.cooldown =
+      options.cooldown ?? envInt("PROXY_COOLDOWN", 5 * 60 * 1000);
+    this.proxies = [];
+    this.cursor = 0;
+  }
+
+  load() {
+    const sources = [];
+    if (process.env.PROXY_URL) sources.push(process.env.PROXY_URL);
+    if (process.env.PROXY_POOL) {
+      sources.push(
+        ...process.env.PROXY_POOL.split(",")
+          .map((p) => p.trim())
+          .filter((p) => p.length > 0),
+      );
+    }
+    if (process.env.PROXIES_FILE) {
+      try {
+        sources.push(
+          ...JSON.parse(fs.readFileSync(process.env.PROXIES_FILE, "utf8")),
+        );
+      } catch (e) {
+        console.error(
+          `[PROXY] Failed to read ${process.env.PROXIES_FILE}: ${e.message}`,
+        );
+      }
+    }
+    this.proxies = [];
+    for (const source of sources) {
+      try {
+        const proxy = parseProxy(source);
+        if (this.proxies.some((p) => p.id === proxy.id)) continue;
+        this.proxies.push({
+          ...proxy,
+          successes: 0,
+          failures: 0,
+          consecutiveFailures: 0,
+          badUntil: 0,
+          lastError: null,
+        });
+      } catch (e) {
+        console.error(`[PROXY] ${e.message}`);
+      }
+    }
+    if (this.proxies.length > 0) {
+      console.log(
+        `[PROXY] Loaded ${this.proxies.length} proxies (selection: ${this.selection})`,
+      );
+    } else {
+      console.log("[PROXY] No upstream proxy configured.");
+    }
+  }
+
+  healthy() {
+    const now = Date.now();
+    return this.proxies.filter((p) => p.badUntil <= now);
+  }
+
+  // Picks the next proxy from the pool, or null when none is configured.
+  // When every proxy is marked bad, the one marked bad longest ago is used.
+  select() {
+    const proxy = this.peek();
+    if (proxy) this.cursor++;
+    return proxy;
+  }
+
+  // The proxy select() would pick, without moving the round-robin cursor
+  // (for probes that must not skew the rotation).
+  peek() {
+    if (this.proxies.length === 0) return null;
+    let candidates = this.healthy();
+    if (candidates.length === 0) {
+      candidates = [...this.proxies].sort(
+        (a, b) => a.badUntil - b.badUntil,
+      ).slice(0, 1);
+    }
+    if (this.selection === "least-failures") {
+      return candidates.reduce((best, p) =>
+        p.consecutiveFailures < best.consecutiveFailures ||
+        (p.consecutiveFailures === best.consecutiveFailures &&
+          p.failures < best.failures)
+          ? p
+          : best,
+      );
+    }
+    return candidates[this.cursor % candidates.length];
+  }
+
+  // Returns the proxy to use for a request `override` (see above).
+  resolve(override) {
+    if (override === false || override === "direct") return null;
+    if (override === undefined || override === null) return this.select();
+    const parsed = parseProxy(override);
+    const known = this.proxies.find((p) => p.id === parsed.id);
+    if (known && !parsed.username) return known;
+    return parsed;
+  }
+
+  // True when a request `proxy` override names no proxy or a pool proxy
+  // (with or without credentials of its own).
+  includes(override) {
+    if (override === undefined || override === null) return true;
+    if (override === false || override === "direct") return true;
+    try {
+      const { id } = parseProxy(override);
+      return this.proxies.some((p) => p.id === id);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  find(proxy) {
+    return proxy ? this.proxies.find((p) => p.id === proxy.id) : null;
+  }
+
+  reportSuccess(proxy) {
+    const entry = this.find(proxy);
+    if (!entry) return;
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+  }
+
+  reportFailure(proxy, error) {
+    const entry = this.find(proxy);
+    if (!entry) return;
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastError = error.message;
+    if (entry.consecutiveFailures >= this.failureThreshold) {
+      entry.badUntil = Date.now() + this.cooldown;
+      console.warn(
+        `[PROXY] Marking ${entry.name} as bad for ${this.cooldown}ms after ${entry.consecutiveFailures} failures: ${error.message}`,
+      );
+    }
+  }
+
+  stats() {
+    const now = Date.now();
+    return this.proxies.map((p) => ({
+      name: p.name,
+      server: p.server,
+      healthy: p.badUntil <= now,
+      successes: p.successes,
+      failures: p.failures,
+      consecutiveFailures: p.consecutiveFailures,
+      lastError: p.lastError,
+    }));
+  }
+}
+
+module.exports = {
+  ProxyPool,
+  parseProxy,
+  validateProxy,
+  redactProxy,
+  isProxyFailure,
+};
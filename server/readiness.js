@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const {
+  envInt,
+  getExecutablePath,
+  getExtensionPaths,
+} = require("./config");
+const { isExtensionTarget } = require("./browser-pool");
+
+// ========================================================================
+// Readiness Checks
+// ========================================================================
+// /health only says the process is up. /ready (and /health?deep=1) checks
+// that the instance can actually scrape:
+//
+//   chromium    EXECUTABLE_PATH exists and is executable
+//   browser     a page can be leased from the pool (launching a browser
+//               if none is warm) within READY_TIMEOUT ms
+//   extensions  every entry in EXTENSION_PATHS has a service worker or
+//               background target in that browser
+//   proxies     each configured upstream proxy accepts a TCP connection
+//               (ready while at least one does)
+//
+// Results are cached for READY_CACHE_TTL ms so frequent probes do not
+// keep leasing pages.
+
+// Chromium derives the id of an unpacked extension from the manifest
+// `key`, or else from its absolute path: the first 128 bits of a SHA-256
+// hash, written with the letters a-p instead of hex digits.
+function extensionId(extensionPath) {
+  let input = path.resolve(extensionPath);
+  try {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(extensionPath, "manifest.json"), "utf8"),
+    );
+    if (manifest.key) input = Buffer.from(manifest.key, "base64");
+  } catch (e) {
+    // unreadable manifest: Chromium would not load it either
+  }
+  return crypto
+    .createHash("sha256")
+    .update(input)
+    .digest("hex")
+    .slice(0, 32)
+    .split("")
+    .map((c) => String.fromCharCode(97 + parseInt(c, 16)))
+    .join("");
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${what} timeout ${ms}ms exceeded`)),
+        ms,
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function checkChromium() {
+  const executablePath = getExecutablePath();
+  try {
+    fs.accessSync(executablePath, fs.constants.X_OK);
+    return { ok: true, executablePath };
+  } catch (e) {
+    return {
+      ok: false,
+      executablePath,
+      error: `Chromium not executable at ${executablePath}: ${e.code || e.message}`,
+    };
+  }
+}
+
+function checkExtensions(browser) {
+  const found = new Set(
+    browser
+      .targets()
+      .filter(isExtensionTarget)
+      .map((t) => new URL(t.url()).host),
+  );
+  const extensions = getExtensionPaths().map((extensionPath) => {
+    const id = extensionId(extensionPath);
+    return { path: extensionPath, id, loaded: found.has(id) };
+  });
+  return {
+    ok: extensions.every((e) => e.loaded),
+    extensions,
+  };
+}
+
+function probeProxy(proxy, timeout) {
+  const url = new URL(proxy.server);
+  const defaultPorts = { "http:": 80, "https:": 443 };
+  const port = url.port || defaultPorts[url.protocol] || 1080;
+  const started = Date.now();
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: url.hostname, port });
+    const done = (error) => {
+      socket.destroy();
+      resolve({
+        name: proxy.name,
+        ok: !error,
+        ms: Date.now() - started,
+        error: error ? error.message : undefined,
+      });
+    };
+    socket.setTimeout(timeout, () =>
+      done(new Error(`connect timeout ${timeout}ms exceeded`)),
+    );
+    socket.once("connect", () => done(null));
+    socket.once("error", done);
+  });
+}
+
+async function checkProxies(proxyPool, timeout) {
+  const configured = proxyPool ? proxyPool.proxies : [];
+  if (configured.length === 0) return { ok: true, proxies: [] };
+  const proxies = await Promise.all(
+    configured.map((p) => probeProxy(p, timeout)),
+  );
+  return { ok: proxies.some((p) => p.ok), proxies };
+}
+
+// Runs every check and resolves to `{ ready, checkedAt, components }`.
+async function checkReadiness(services, logDebug = () => {}) {
+  const timeout = envInt("READY_TIMEOUT", 20000);
+  const components = {};
+
+  components.chromium = checkChromium();
+
+  if (!components.chromium.ok) {
+    components.browser = { ok: false, error: "skipped: no Chromium" };
+    components.extensions = { ok: false, error: "skipped: no Chromium" };
+  } else {
+    const started = Date.now();
+    let lease = null;
+    // Same proxy choice as the pool's warm browsers, so a warm one is
+    // leased instead of replaced; peek() leaves the rotation alone
+    const proxy = services.proxies ? services.proxies.peek() : null;
+    const leasing = services.pool.acquire(logDebug, { proxy });
+    try {
+      lease = await withTimeout(leasing, timeout, "Browser lease");
+      const version = await lease.browser.version();
+      components.browser = {
+        ok: true,
+        version,
+        browserId: lease.browserId,
+        ms: Date.now() - started,
+      };
+      components.extensions = checkExtensions(lease.browser);
+    } catch (error) {
+      components.browser = {
+        ok: false,
+        ms: Date.now() - started,
+        error: error.message,
+      };
+      components.extensions = { ok: false, error: "skipped: no browser" };
+      // A lease that arrives after the timeout goes straight back
+      leasing.then((late) => late.release(), () => {});
+    } finally {
+      if (lease) await lease.release();
+    }
+  }
+
+  components.proxies = await checkProxies(
+    services.proxies,
+    Math.min(timeout, 5000),
+  );
+
+  return {
+    ready: Object.values(components).every((c) => c.ok),
+    checkedAt: Date.now(),
+    components,
+  };
+}
+
+// Wraps checkReadiness with a short-lived cache; concurrent callers share
+// the check in flight.
+class ReadinessProbe {
+  constructor(services, options = {}) {
+    this.services = services;
+    this.cacheTtl = options.cacheTtl ?? envInt("READY_CACHE_TTL", 5000);
+    this.last = null;
+    this.pending = null;
+  }
+
+  check() {
+    if (this.last && Date.now() - this.last.checkedAt < this.cacheTtl) {
+      return Promise.resolve(this.last);
+    }
+    if (!this.pending) {
+      this.pending = checkReadiness(this.services)
+        .then((result) => {
+          if (!result.ready) {
+            console.warn(
+              "[READY] Not ready:",
+              Object.entries(result.components)
+                .filter(([, c]) => !c.ok)
+                .map(([name, c]) => `${name} (${c.error || "failed"})`)
+                .join(", "),
+            );
+          }
+          this.last = result;
+          return result;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+}
+
+module.exports = {
+  ReadinessProbe,
+  checkReadiness,
+  extensionId,
+};
@@ -0,0 +1,246 @@
+const { envInt } = require("./config");
+const { describeError } = require("./errors");
+const { recordRetry } = require("./metrics");
+
+// ========================================================================
+// Retries and Escalation
+// ========================================================================
+// `retry` is a number of attempts or
+//
+//   { attempts: 4, backoff: 1000, maxBackoff: 15000,
+//     ladder: ["freshSession", "proxy", "googlebot", "archive"] }
+//
+// The first attempt runs the request as given. Each retry applies the
+// next ladder step on top of the previous attempt (steps accumulate, so
+// a fresh session is kept when the proxy is switched as well):
+//
+//   same          retry unchanged
+//   freshSession  delete the site's cookies and storage before loading
+//   proxy         switch to a pool proxy not tried yet; the current one
+//                 is kept when none is left or the request set `proxy`
+//   mobile        mobile viewport and user agent
+//   googlebot     Googlebot user agent (userAgentDesktopG in background.js)
+//   archive       answer from an archived copy, looked up like the
+//                 fallback (ARCHIVE_ENDPOINTS, see archive-fallback.js)
+//
+// A retry happens after a retryable error (see errors.js), after content
+// errors a different strategy may fix (selector or content not found,
+// paywall, captcha), and after a success on which detection.js still
+// found a paywall, truncation, extension failure or captcha. When every
+// attempt is blocked the last blocked success is returned, otherwise the
+// last error is thrown. Waits between attempts back off exponentially.
+// With `archiveFallback` on, what is still failed or blocked after the
+// last attempt is answered from an archived copy (archive-fallback.js).
+//
+// Every attempt is listed in `attempts` on the result or error.
+// Defaults: RETRY_ATTEMPTS (1, no retries), RETRY_BACKOFF, RETRY_MAX_BACKOFF.
+// A request's backoff and maxBackoff are capped at MAX_BACKOFF (30 s).
+
+const GOOGLEBOT_UA =
+  "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)";
+const MOBILE_UA =
+  "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Mobile Safari/537.36";
+const MOBILE_VIEWPORT = {
+  width: 412,
+  height: 915,
+  deviceScaleFactor: 2.625,
+  isMobile: true,
+  hasTouch: true,
+};
+
+const MAX_BACKOFF = 30000;
+
+const DEFAULT_LADDER = [
+  "freshSession",
+  "proxy",
+  "mobile",
+  "googlebot",
+  "archive",
+];
+
+// Ladder steps: `(previous, original)` specs to the overrides applied on
+// top of the previous attempt.
+const STRATEGIES = {
+  same: () => ({}),
+  freshSession: () => ({ freshSession: true }),
+  // applied by runWithRetry: the attempt's proxy
+  proxy: () => ({}),
+  mobile: () => ({ viewport: MOBILE_VIEWPORT, userAgent: MOBILE_UA }),
+  googlebot: () => ({ userAgent: GOOGLEBOT_UA }),
+  // applied by runWithRetry: the attempt's `fromArchive` flag
+  archive: () => ({}),
+};
+
+// Errors a different strategy may get past.
+const ESCALATE_CODES = [
+  "SELECTOR_NOT_FOUND",
+  "CONTENT_NOT_FOUND",
+  "PAYWALL_DETECTED",
+  "BLOCKED_BY_CAPTCHA",
+];
+
+function normalizeRetry(retry) {
+  const options =
+    typeof retry === "number" ? { attempts: retry } : retry || {};
+  return {
+    attempts: options.attempts ?? envInt("RETRY_ATTEMPTS", 1),
+    backoff: options.backoff ?? envInt("RETRY_BACKOFF", 1000),
+    maxBackoff: options.maxBackoff ?? envInt("RETRY_MAX_BACKOFF", 15000),
+    ladder: options.ladder || DEFAULT_LADDER,
+  };
+}
+
+// Returns an error message when `retry` is not a valid retry policy.
+function validateRetry(retry) {
+  if (retry === undefined) return null;
+  if (typeof retry === "number") {
+    return Number.isInteger(retry) && retry >= 1 && retry <= 10
+      ? null
+      : "retry must be between 1 and 10 attempts";
+  }
+  if (!retry || typeof retry !== "object") {
+    return "retry must be a number of attempts or { attempts, backoff, ladder }";
+  }
+  if (
+    retry.attempts !== undefined &&
+    !(Number.isInteger(retry.attempts) && retry.attempts >= 1 && retry.attempts <= 10)
+  ) {
+    return "retry.attempts must be between 1 and 10";
+  }
+  for (const field of ["backoff", "maxBackoff"]) {
+    const value = retry[field];
+    if (
+      value !== undefined &&
+      !(typeof value === "number" && value >= 0 && value <= MAX_BACKOFF)
+    ) {
+      return `retry.${field} must be between 0 and ${MAX_BACKOFF} ms`;
+    }
+  }
+  if (retry.ladder !== undefined) {
+    if (!Array.isArray(retry.ladder) || retry.ladder.length === 0) {
+      return "retry.ladder must be a non-empty array of strategies";
+    }
+    const unknown = retry.ladder.filter(
+      (s) => typeof s !== "string" || !Object.hasOwn(STRATEGIES, s),
+    );
+    if (unknown.length > 0) {
+      return `Unknown retry strategies: ${unknown.join(", ")}. Expected: ${Object.keys(STRATEGIES).join(", ")}`;
+    }
+  }
+  return null;
+}
+
+function isBlocked(detection) {
+  return (
+    !!detection &&
+    (detection.paywallDetected ||
+      detection.truncated ||
+      !!detection.bpcFailure ||
+      !!detection.captcha)
+  );
+}
+
+// Picks a pool proxy that has not been tried yet, or null when every
+// proxy has been.
+function nextProxy(proxies, tried) {
+  if (!proxies) return null;
+  const fresh = proxies
+    .healthy()
+    .concat(proxies.proxies)
+    .find((p) => !tried.has(p.id));
+  return fresh || null;
+}
+
+// Runs `attempt(spec, proxy, fromArchive)` under the request's retry
+// policy. `fromArchive` is set from the "archive" step on: the attempt
+// is to be answered from an archived copy (scrapeArchived in scrape.js).
+async function runWithRetry(services, spec, attempt, logDebug = () => {}) {
+  const policy = normalizeRetry(spec.retry);
+  const { proxies } = services;
+  const attempts = [];
+  const triedProxies = new Set();
+
+  let attemptSpec = spec;
+  let proxy = proxies ? proxies.resolve(spec.proxy) : null;
+  let fromArchive = false;
+  let strategy = "initial";
+  let lastError = null;
+  let blockedResult = null;
+
+  for (let n = 1; n <= policy.attempts; n++) {
+    if (n > 1) {
+      strategy = policy.ladder[Math.min(n - 2, policy.ladder.length - 1)];
+      const delay = Math.min(
+        policy.maxBackoff,
+        policy.backoff * 2 ** (n - 2),
+      );
+      logDebug(
+        `[RETRY] Attempt ${n}/${policy.attempts} with strategy "${strategy}" in ${delay}ms...`,
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      attemptSpec = {
+        ...attemptSpec,
+        ...STRATEGIES[strategy](attemptSpec, spec),
+      };
+      const ownProxy = spec.proxy !== undefined && spec.proxy !== null;
+      if (strategy === "proxy" && !ownProxy) {
+        proxy = nextProxy(proxies, triedProxies) || proxy;
+      }
+      if (strategy === "archive") fromArchive = true;
+      recordRetry(strategy);
+    }
+    if (proxy) triedProxies.add(proxy.id);
+
+    const started = Date.now();
+    const record = {
+      attempt: n,
+      strategy,
+      url: attemptSpec.url,
+      proxy: proxy ? proxy.name : null,
+    };
+    try {
+      const result = await attempt(attemptSpec, proxy, fromArchive);
+      record.ms = Date.now() - started;
+      if (isBlocked(result.detection)) {
+        attempts.push({
+          ...record,
+          ok: false,
+          code: result.detection.captcha
+            ? "BLOCKED_BY_CAPTCHA"
+            : "PAYWALL_DETECTED",
+        });
+        blockedResult = result;
+        continue;
+      }
+      attempts.push({ ...record, ok: true });
+      result.attempts = attempts;
+      return result;
+    } catch (error) {
+      const { code, retryable } = describeError(error);
+      attempts.push({
+        ...record,
+        ms: Date.now() - started,
+        ok: false,
+        code,
+        error: error.message,
+      });
+      lastError = error;
+      if (!retryable && !ESCALATE_CODES.includes(code)) break;
+    }
+  }
+
+  if (blockedResult) {
+    // A blocked page still beats an error
+    blockedResult.attempts = attempts;
+    return blockedResult;
+  }
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+module.exports = {
+  GOOGLEBOT_UA,
+  validateRetry,
+  runWithRetry,
+  isBlocked,
+};
@@ -0,0 +1,718 @@
+const { extractArticle } = require("./article");
+const { validateFormat, formatResult } = require("./formats");
+const { validateActions, runActions } = require("./actions");
+const { validateFields, extractFields } = require("./fields");
+const { extensionStatus } = require("./extension");
+const {
+  validateFrames,
+  usesFrames,
+  describeFrame,
+  findInFrames,
+  waitForElement,
+} = require("./frames");
+const { validateWait, waitsForExtension, runWait } = require("./wait");
+const { validateProxy, isProxyFailure } = require("./proxies");
+const { recordScrape, recordPhases } = require("./metrics");
+const { ScrapeError, describeError } = require("./errors");
+const { validateCache } = require("./cache");
+const { validateDetection, detectBlocking } = require("./detection");
+const { validateRetry, runWithRetry, isBlocked } = require("./retry");
+const {
+  validateArchiveFallback,
+  fallbackEnabled,
+  fetchArchived,
+} = require("./archive-fallback");
+const {
+  isCaptureFormat,
+  validateCapture,
+  capturePage,
+} = require("./capture");
+const {
+  isArchiveFormat,
+  startWarcRecorder,
+  archivePage,
+} = require("./archive");
+
+// ========================================================================
+// Scrape Pipeline
+// ========================================================================
+// Shared by the synchronous /scrape endpoint, the batch endpoint and the
+// job runner: leases a page from the pool, navigates, and extracts the
+// requested selector. `services` holds the shared `pool`, `profiles` and
+// `proxies`.
+// Specs are resolved against the site profiles (resolveScrapeSpec)
+// before validation, so a profile can supply the selector.
+
+// Returns an error message when the spec is not a valid scrape request.
+// Article mode finds the content itself and needs no selector, nor do
+// named `fields`; captures use it only to clip the screenshot and
+// archives take the whole page.
+function validateScrapeSpec(spec) {
+  if (spec && spec.url !== undefined && typeof spec.url !== "string") {
+    return "url must be a string";
+  }
+  if (
+    !spec ||
+    !spec.url ||
+    (!spec.selector &&
+      !spec.fields &&
+      spec.method !== "article" &&
+      !isCaptureFormat(spec.format) &&
+      !isArchiveFormat(spec.format))
+  ) {
+    return "Missing required fields: url and selector";
+  }
+  return (
+    validateFormat(spec.format) ||
+    validateFields(spec) ||
+    validateFrames(spec) ||
+    validateCapture(spec) ||
+    validateDetection(spec) ||
+    validateRetry(spec.retry) ||
+    validateArchiveFallback(spec) ||
+    validateActions(spec.actions) ||
+    validateWait(spec.wait) ||
+    validateProxy(spec.proxy) ||
+    validateCache(spec.cache)
+  );
+}
+
+async function dumpPageContent(page, prefix) {
+  try {
+    const content = await page.content();
+    const truncated = content.slice(0, 4096);
+    console.log(truncated);
+    if (content.length > 4096) {
+      console.log(`${prefix} (Content truncated: ${content.length} total chars)`);
+    }
+  } catch (e) {
+    console.error(`${prefix} Could not dump page content:`, e.message);
+  }
+}
+
+// Deletes the site's cookies and storage, for a first-visit session.
+async function clearSiteData(page, url, logDebug) {
+  const cookies = await page.cookies(url);
+  if (cookies.length > 0) await page.deleteCookie(...cookies);
+  const session = await page.createCDPSession();
+  try {
+    await session.send("Storage.clearDataForOrigin", {
+      origin: new URL(url).origin,
+      storageTypes: "all",
+    });
+  } finally {
+    await session.detach().catch(() => {});
+  }
+  logDebug(`[NAVIGATE] Cleared ${cookies.length} cookies and site storage.`);
+}
+
+// Runs in the browser: evaluates an XPath selector and returns its
+// results as an array. Must stay self-contained.
+function xpathInPage(xpathSelector) {
+  try {
+    const result = document.evaluate(
+      xpathSelector,
+      document,
+      null,
+      XPathResult.ANY_TYPE,
+      null,
+    );
+    const results = [];
+    const processNode = (node) => {
+      if (!node) return null;
+      switch (node.nodeType) {
+        case Node.ELEMENT_NODE:
+          return node.outerHTML;
+        case Node.ATTRIBUTE_NODE:
+        case Node.TEXT_NODE:
+          return node.nodeValue;
+        case Node.COMMENT_NODE:
+          return `<!-- ${node.nodeValue} -->`;
+        default:
+          return `Unsupported node type: ${node.nodeType}`;
+      }
+    };
+    switch (result.resultType) {
+      case XPathResult.NUMBER_TYPE:
+        return [result.numberValue];
+      case XPathResult.STRING_TYPE:
+        return [result.stringValue];
+      case XPathResult.BOOLEAN_TYPE:
+        return [result.booleanValue];
+      case XPathResult.UNORDERED_NODE_ITERATOR_TYPE:
+      case XPathResult.ORDERED_NODE_ITERATOR_TYPE: {
+        let node;
+        while ((node = result.iterateNext())) {
+          results.push(processNode(node));
+        }
+        return results;
+      }
+      case XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE:
+      case XPathResult.ORDERED_NODE_SNAPSHOT_TYPE: {
+        for (
+          let i = 0;
+          i < result.snapshotLength;
+          i++
+        ) {
+          results.push(
+            processNode(result.snapshotItem(i)),
+          );
+        }
+        return results;
+      }
+      case XPathResult.ANY_UNORDERED_NODE_TYPE:
+      case XPathResult.FIRST_ORDERED_NODE_TYPE:
+        return [
+          processNode(result.singleNodeValue),
+        ];
+      default:
+        return [
+          `Unknown XPathResult type: ${result.resultType}`,
+        ];
+    }
+  } catch (error) {
+    throw new Error(
+      `XPath evaluation failed in browser: ${error.message}`,
+    );
+  }
+}
+
+// Extracts the spec's selector, fields or article from the loaded page.
+// Resolves to `{ matches, legacy, article, fields, frame }` for
+// formatResult(); `frame` is set when the selector went through frames.js.
+async function extractContent(page, spec, logDebug) {
+  const { selector, method = "css" } = spec;
+  let extractedData;
+  let matchedFrame = null;
+
+  if (spec.fields) {
+    const fields = await extractFields(page, spec, logDebug);
+    return {
+      matches: [],
+      legacy: { contentType: "application/json", data: fields },
+      article: null,
+      fields,
+    };
+  }
+
+  if (method === "article") {
+    logDebug("[ARTICLE] Extracting main article content...");
+    extractedData = await extractArticle(page);
+    logDebug(
+      `[ARTICLE] Extraction successful (source=${extractedData.source}, ${extractedData.length} chars).`,
+    );
+  } else if (method === "xpath") {
+    logDebug(
+      `[XPATH] Evaluating XPath selector: ${selector}`,
+    );
+    if (usesFrames(spec)) {
+      const found = await findInFrames(
+        page,
+        spec,
+        async (frame, xpath) => {
+          const results = await frame.evaluate(xpathInPage, xpath);
+          return results && results.length > 0 ? results : null;
+        },
+        spec.timeouts.selector,
+        logDebug,
+      );
+      matchedFrame = found.frame;
+      extractedData = found.value;
+    } else {
+      extractedData = await page.evaluate(xpathInPage, selector);
+    }
+    logDebug(`[XPATH] Evaluation successful.`);
+    
+    // Dump content if XPath found nothing
+    if (!extractedData || (Array.isArray(extractedData) && extractedData.length === 0)) {
+      console.warn(`[XPATH] No results found for selector: "${selector}". Dumping page content (truncated to 4096 chars):`);
+      await dumpPageContent(page, "[XPATH]");
+    }
+  } else {
+    logDebug(
+      `[CSS] Waiting for CSS selector: ${selector}`,
+    );
+    let elementHandle;
+    if (usesFrames(spec)) {
+      ({ frame: matchedFrame, element: elementHandle } =
+        await waitForElement(page, spec, logDebug));
+    } else {
+      elementHandle = await page.waitForSelector(
+        selector,
+        { timeout: spec.timeouts.selector },
+      );
+    }
+    if (!elementHandle) {
+      throw new ScrapeError(
+        "SELECTOR_NOT_FOUND",
+        `CSS selector "${selector}" was found by waitForSelector, but handle is unexpectedly null.`,
+      );
+    }
+    logDebug(
+      `[CSS] Extracting outerHTML for selector: ${selector}`,
+    );
+    extractedData = await elementHandle.evaluate(
+      (el) => el.outerHTML,
+    );
+
+    await elementHandle.dispose();
+    logDebug(`[CSS] Extraction successful.`);
+  }
+
+  let matches;
+  let legacy;
+  if (method === "article") {
+    matches = [extractedData.html];
+    legacy = { contentType: "application/json", data: extractedData };
+  } else if (method === "xpath") {
+    matches = extractedData || [];
+    legacy = { contentType: "application/json", data: extractedData };
+  } else {
+    matches = [extractedData];
+    legacy = { contentType: "text/html", data: extractedData };
+  }
+
+  return {
+    matches,
+    legacy,
+    article: method === "article" ? extractedData : null,
+    ...(matchedFrame ? { frame: describeFrame(matchedFrame) } : {}),
+  };
+}
+
+// Runs a scrape under the request's retry policy (see retry.js) and
+// resolves to `{ contentType, data, validators, attempts, source }`,
+// where `validators` holds the page's ETag/Last-Modified headers and
+// `source` tells the live page from an archived copy (see
+// archive-fallback.js). Errors are rethrown unchanged, with `attempts`,
+// so callers can classify them with classifyError(). Each request is
+// counted once in the scrape metrics, however many attempts it took.
+async function runScrape(services, spec, logDebug = () => {}) {
+  let result;
+  try {
+    result = await scrapeWithFallback(services, spec, logDebug);
+  } catch (error) {
+    recordScrape(spec, error, services.profiles);
+    throw error;
+  }
+  recordScrape(spec, null, services.profiles);
+  return result;
+}
+
+// runWithRetry() over scrapeOnce(), answered from an archived copy when
+// the live page stays failed or blocked and the fallback is enabled.
+async function scrapeWithFallback(services, spec, logDebug) {
+  const fallback =
+    fallbackEnabled(spec) &&
+    !isCaptureFormat(spec.format) &&
+    !isArchiveFormat(spec.format);
+  let result;
+  try {
+    result = await runWithRetry(
+      services,
+      spec,
+      (attemptSpec, proxy, fromArchive) =>
+        fromArchive
+          ? scrapeArchived(services, attemptSpec, proxy, logDebug)
+          : scrapeOnce(services, attemptSpec, proxy, logDebug),
+      logDebug,
+    );
+    // the "archive" retry step labels its own source
+    if (!result.source) result.source = "live";
+    if (fallback && isBlocked(result.detection)) {
+      result =
+        (await scrapeFromArchive(services, spec, result.attempts, logDebug)) ||
+        result;
+    }
+  } catch (error) {
+    // A bad selector fails on the archived copy just the same
+    if (!fallback || describeError(error).code === "INVALID_SELECTOR") {
+      throw error;
+    }
+    result = await scrapeFromArchive(services, spec, error.attempts, logDebug);
+    if (!result) throw error;
+  }
+  return result;
+}
+
+// Asks the origin whether a cached result of `spec` is still current,
+// through the browser, extension and proxy its scrape would use: loads
+// the page with If-None-Match/If-Modified-Since from `validators` and
+// resolves true on 304 Not Modified (false on any failure).
+async function revalidatePage(
+  services,
+  spec,
+  validators,
+  timeout,
+  logDebug = () => {},
+) {
+  const headers = {};
+  if (validators.etag) headers["If-None-Match"] = validators.etag;
+  if (validators.lastModified) {
+    headers["If-Modified-Since"] = validators.lastModified;
+  }
+  const { pool, proxies } = services;
+  let lease = null;
+  try {
+    const proxy = proxies ? proxies.resolve(spec.proxy) : null;
+    lease = await pool.acquire(logDebug, { proxy });
+    const { page } = lease;
+    await page.setUserAgent(spec.userAgent);
+    // Chromium's own cache would answer the conditional request itself
+    await page.setCacheEnabled(false);
+    await page.setExtraHTTPHeaders(headers);
+    const response = await page.goto(spec.url, {
+      waitUntil: "domcontentloaded",
+      timeout,
+    });
+    return !!response && response.status() === 304;
+  } catch (error) {
+    logDebug(`[CACHE] Revalidation failed: ${error.message}`);
+    return false;
+  } finally {
+    if (lease) await lease.release();
+  }
+}
+
+// Answers the request from an archived copy, recorded as one more entry
+// in `attempts`. Resolves to null when no copy could be used.
+async function scrapeFromArchive(services, spec, attempts, logDebug) {
+  const started = Date.now();
+  const record = {
+    attempt: attempts.length + 1,
+    strategy: "archiveFallback",
+    url: spec.url,
+    proxy: null,
+  };
+  try {
+    const proxy = archiveProxy(services, spec, attempts);
+    record.proxy = proxy ? proxy.name : null;
+    const archived = await lookupArchive(services, spec, proxy, logDebug);
+    record.url = archived.snapshotUrl;
+    const result = await scrapeArchivedCopy(
+      services,
+      spec,
+      archived,
+      proxy,
+      logDebug,
+    );
+    attempts.push({ ...record, ms: Date.now() - started, ok: true });
+    result.attempts = attempts;
+    return result;
+  } catch (error) {
+    logDebug(`[ARCHIVE] Fallback failed: ${error.message}`);
+    attempts.push({
+      ...record,
+      ms: Date.now() - started,
+      ok: false,
+      code: describeError(error).code,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+// The archive is reached the way the live page was: through the proxy of
+// the last live attempt, else the one the request resolves to.
+function archiveProxy(services, spec, attempts) {
+  const { proxies } = services;
+  if (!proxies) return null;
+  const last = attempts[attempts.length - 1];
+  const used =
+    last && last.proxy
+      ? proxies.proxies.find((p) => p.name === last.proxy)
+      : null;
+  return used || proxies.resolve(spec.proxy);
+}
+
+// fetchArchived() through pooled pages on `proxy`.
+function lookupArchive(services, spec, proxy, logDebug) {
+  return fetchArchived(spec, logDebug, (url, userAgent, timeout) =>
+    fetchInPage(services, proxy, url, userAgent, timeout, logDebug),
+  );
+}
+
+// The "archive" retry step (see retry.js): an attempt answered from an
+// archived copy instead of the live page.
+async function scrapeArchived(services, spec, proxy, logDebug) {
+  const archived = await lookupArchive(services, spec, proxy, logDebug);
+  return scrapeArchivedCopy(services, spec, archived, proxy, logDebug);
+}
+
+// fetchPage() for archive-fallback.js: loads `url` in a pooled page on
+// `proxy`, scripts off. Resolves to `{ html, finalUrl }`, or null on an
+// error status.
+async function fetchInPage(
+  services,
+  proxy,
+  url,
+  userAgent,
+  timeout,
+  logDebug,
+) {
+  const lease = await services.pool.acquire(logDebug, { proxy });
+  const { page } = lease;
+  try {
+    await page.setJavaScriptEnabled(false);
+    if (userAgent) await page.setUserAgent(userAgent);
+    const response = await page.goto(url, {
+      waitUntil: "domcontentloaded",
+      timeout,
+    });
+    if (!response || !response.ok()) return null;
+    return { html: await response.text(), finalUrl: page.url() };
+  } finally {
+    await lease.release();
+  }
+}
+
+// Loads an archived snapshot into a pooled page on `proxy` and extracts
+// from it like scrapeOnce(), falling back to the article when the
+// selector is not in the copy.
+async function scrapeArchivedCopy(services, spec, archived, proxy, logDebug) {
+  const startedAt = Date.now();
+  const lease = await services.pool.acquire(logDebug, { proxy });
+  const { page } = lease;
+  try {
+    // The copy is static; its links resolve against the snapshot URL
+    await page.setJavaScriptEnabled(false);
+    const html = /<base\s/i.test(archived.html)
+      ? archived.html
+      : archived.html.replace(
+          /<head[^>]*>/i,
+          (head) => `${head}<base href="${archived.snapshotUrl}">`,
+        );
+    await page.setContent(html, {
+      waitUntil: "domcontentloaded",
+      timeout: spec.timeouts.navigation,
+    });
+
+    let extractSpec = {
+      ...spec,
+      selector: spec.archiveSelector || spec.selector,
+      timeouts: { ...spec.timeouts, selector: 1000 },
+    };
+    let extraction = null;
+    if (extractSpec.method !== "article") {
+      try {
+        extraction = await extractContent(page, extractSpec, logDebug);
+        if (extraction.matches.length === 0 && !extraction.fields) {
+          extraction = null;
+        }
+      } catch (error) {
+        if (describeError(error).code !== "SELECTOR_NOT_FOUND") throw error;
+      }
+    }
+    if (!extraction) {
+      logDebug("[ARCHIVE] Selector not in the archived copy, using article.");
+      extractSpec = { ...extractSpec, method: "article" };
+      extraction = await extractContent(page, extractSpec, logDebug);
+    }
+
+    const result = await formatResult(page, extractSpec, {
+      ...extraction,
+      finalUrl: archived.snapshotUrl,
+      status: null,
+      timings: { total: Date.now() - startedAt },
+      waits: null,
+      actions: null,
+      detection: null,
+      proxy: proxy ? proxy.name : null,
+    });
+    result.source = archived.source;
+    result.validators = { etag: null, lastModified: null };
+    return result;
+  } finally {
+    await lease.release();
+  }
+}
+
+// One attempt: leases a page, navigates through `proxy` and extracts.
+async function scrapeOnce(services, spec, proxy, logDebug) {
+  const { url, method = "css", debug = false } = spec;
+  const { pool, proxies } = services;
+
+  if (spec.profile) {
+    logDebug(`[PROFILE] Using site profile "${spec.profile}"`);
+  }
+
+  let lease = null;
+  let browser = null;
+  let page = null;
+  // Pipeline phase, reported with errors (see errors.js)
+  let phase = "lease";
+  const timings = {};
+  const startedAt = Date.now();
+  let phaseStart = startedAt;
+  const markPhase = (name) => {
+    const now = Date.now();
+    timings[name] = now - phaseStart;
+    phaseStart = now;
+  };
+
+  try {
+    // --- Debug: Check current process resource limits ---
+    if (debug) {
+      try {
+        const { execSync } = require("child_process");
+        const limits = execSync(
+          `cat /proc/${process.pid}/limits | grep "open files"`,
+        ).toString();
+        logDebug(
+          `[LAUNCH] Current process limits: ${limits.trim()}`,
+        );
+      } catch (e) {
+        logDebug(
+          `[LAUNCH] Could not read process limits: ${e.message}`,
+        );
+      }
+    }
+
+    logDebug("[POOL] Leasing page from browser pool...");
+    if (proxy) {
+      logDebug(`[PROXY] Using proxy ${proxy.name}`);
+    }
+    lease = await pool.acquire(logDebug, { proxy });
+    browser = lease.browser;
+    page = lease.page;
+    markPhase("lease");
+
+    // --- Debug: Check all loaded extension targets ---
+    if (debug) {
+      const allTargets = browser.targets();
+      logDebug(
+        `[LAUNCH] Total targets: ${allTargets.length}`,
+      );
+      allTargets.forEach((t, i) => {
+        if (t.url().includes("chrome-extension://")) {
+          logDebug(
+            `  [${i}] type=${t.type()}, url=${t.url()}`,
+          );
+        }
+      });
+    }
+
+    phase = "navigation";
+    await page.setViewport(spec.viewport);
+
+    logDebug("[NAVIGATE] Setting User-Agent...");
+    await page.setUserAgent(spec.userAgent);
+
+    if (spec.freshSession) await clearSiteData(page, url, logDebug);
+
+    // WARC archives need every exchange from the first request on
+    const recorder =
+      spec.format === "warc" ? startWarcRecorder(page, logDebug) : null;
+
+    logDebug(`[NAVIGATE] Loading URL: ${url}`);
+    const response = await page.goto(url, {
+      waitUntil: spec.waitUntil,
+      timeout: spec.timeouts.navigation,
+    });
+    logDebug(`[NAVIGATE] Page loaded successfully: ${url}`);
+
+    logDebug(`[NAVIGATE END] Running ${spec.actions.length} post-navigation actions.`);
+    phase = "actions";
+    const actions = await runActions(page, browser, spec.actions, logDebug);
+
+    phase = "wait";
+    let waits = null;
+    if (spec.wait) {
+      waits = await runWait(page, spec.wait, logDebug);
+    } else {
+      const postNavDelay =
+        spec.postNavDelay ?? (method === "xpath" ? 5000 : 2000);
+      logDebug(
+        `[DELAY] Waiting ${postNavDelay / 1000} seconds after navigation before extraction...`,
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, postNavDelay),
+      );
+    }
+    markPhase("navigation");
+
+    // Which bypass rules applied, for the reply; only asked for when the
+    // request waited for the extension
+    const extension = waitsForExtension(spec.wait)
+      ? await extensionStatus(page, logDebug)
+      : null;
+
+    phase = "detection";
+    const detection = await detectBlocking(page, spec, logDebug);
+    phase = "extraction";
+
+    // Success bookkeeping shared by the capture and extraction paths
+    const succeed = (result) => {
+      if (detection) result.detection = detection;
+      if (extension) result.extension = extension;
+      // Kept for conditional revalidation by the response cache
+      const headers = response ? response.headers() : {};
+      result.validators = {
+        etag: headers.etag || null,
+        lastModified: headers["last-modified"] || null,
+      };
+      if (proxies) proxies.reportSuccess(proxy);
+      recordPhases(timings);
+      return result;
+    };
+
+    if (isCaptureFormat(spec.format)) {
+      const result = await capturePage(page, spec, logDebug);
+      markPhase("extraction");
+      return succeed(result);
+    }
+    if (isArchiveFormat(spec.format)) {
+      const result = await archivePage(page, spec, recorder, logDebug);
+      markPhase("extraction");
+      return succeed(result);
+    }
+
+    const extraction = await extractContent(page, spec, logDebug);
+    markPhase("extraction");
+    phase = "format";
+
+    const result = await formatResult(page, spec, {
+      ...extraction,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      timings: { ...timings, total: Date.now() - startedAt },
+      waits,
+      actions,
+      detection,
+      extension,
+      proxy: proxy ? proxy.name : null,
+    });
+    if (extraction.frame) result.frame = extraction.frame;
+    return succeed(result);
+  } catch (error) {
+    if (!error.phase) error.phase = phase;
+    recordPhases(timings);
+    if (proxies && proxy && isProxyFailure(error)) {
+      proxies.reportFailure(proxy, error);
+    }
+
+    // Dump content on selector timeout/error
+    if (
+      page &&
+      (error.name === "TimeoutError" ||
+        error.message.includes("timeout") ||
+        error.message.includes("selector"))
+    ) {
+      console.warn(`[ERROR] Selector issue detected. Dumping page content (truncated to 4096 chars):`);
+      await dumpPageContent(page, "[ERROR]");
+    }
+    throw error;
+  } finally {
+    logDebug("[CLEANUP] Releasing page back to the pool...");
+    if (lease) {
+      await lease.release();
+    }
+    logDebug("[CLEANUP] Cleanup finished.");
+  }
+}
+
+module.exports = {
+  runScrape,
+  revalidatePage,
+  validateScrapeSpec,
+};
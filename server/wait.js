@@ -0,0 +1,221 @@
+const { envInt } = require("./config");
+const { waitForExtension } = require("./extension");
+
+// ========================================================================
+// Wait Strategies
+// ========================================================================
+// `wait` replaces the fixed post-navigation delay. It is a list of steps
+// run in order, or `{ steps: [...], deadline: ms }`:
+//
+//   { type: "networkIdle", idleTime: 500, concurrency: 0 }
+//   { type: "selector", selector, visible: true }
+//   { type: "function", expression: "window.articleReady === true" }
+//   { type: "selectorGone", selector }   // e.g. until a paywall overlay
+//                                        // is removed or hidden
+//   { type: "domStable", quiet: 1000 }   // no DOM mutations for N ms
+//   { type: "delay", ms: 2000 }
+//   { type: "extension" }                // until the bypass extension
+//                                        // reports completion (bpc_status,
+//                                        // see extension.js)
+//
+// Every step takes an optional `timeout` (default WAIT_STEP_TIMEOUT) and
+// fails the scrape on timeout unless it is marked `optional: true`. The
+// deadline (default WAIT_DEADLINE) caps the whole wait phase: when it
+// passes, the remaining steps are skipped and extraction starts.
+
+const STEP_TYPES = [
+  "networkIdle",
+  "selector",
+  "function",
+  "selectorGone",
+  "domStable",
+  "delay",
+  "extension",
+];
+
+function normalizeWait(wait) {
+  if (Array.isArray(wait)) return { steps: wait };
+  return { steps: wait.steps || [], deadline: wait.deadline };
+}
+
+// Durations are optional, but when given must be positive ms.
+function isDuration(value) {
+  return value === undefined || (Number.isFinite(value) && value > 0);
+}
+
+// Returns an error message when `wait` is not a valid wait spec.
+function validateWait(wait) {
+  if (wait === undefined) return null;
+  if (!wait || typeof wait !== "object") {
+    return "wait must be an array of steps or { steps, deadline }";
+  }
+  const { steps, deadline } = normalizeWait(wait);
+  if (!Array.isArray(steps)) return "wait.steps must be an array";
+  if (!isDuration(deadline)) {
+    return "wait.deadline must be a positive number of ms";
+  }
+  for (const [i, step] of steps.entries()) {
+    if (!step || !STEP_TYPES.includes(step.type)) {
+      return `wait[${i}]: unknown wait type "${step && step.type}". Expected one of: ${STEP_TYPES.join(", ")}`;
+    }
+    if (
+      (step.type === "selector" || step.type === "selectorGone") &&
+      !step.selector
+    ) {
+      return `wait[${i}]: ${step.type} requires a selector`;
+    }
+    if (step.type === "function" && !step.expression) {
+      return `wait[${i}]: function requires an expression`;
+    }
+    for (const field of ["timeout", "ms", "quiet", "idleTime"]) {
+      if (!isDuration(step[field])) {
+        return `wait[${i}]: ${field} must be a positive number of ms`;
+      }
+    }
+  }
+  return null;
+}
+
+// Runs in the browser: resolves true once the document has seen no
+// mutations for `quiet` ms, or false when `timeout` passes first.
+function waitForDomStable(quiet, timeout) {
+  return new Promise((resolve) => {
+    let quietTimer = null;
+    let deadlineTimer = null;
+    const finish = (stable) => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(deadlineTimer);
+      resolve(stable);
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => finish(true), quiet);
+    });
+    observer.observe(document, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      characterData: true,
+    });
+    quietTimer = setTimeout(() => finish(true), quiet);
+    deadlineTimer = setTimeout(() => finish(false), timeout);
+  });
+}
+
+async function runStep(page, step, timeout) {
+  switch (step.type) {
+    case "networkIdle":
+      await page.waitForNetworkIdle({
+        idleTime: step.idleTime ?? 500,
+        concurrency: step.concurrency ?? 0,
+        timeout,
+      });
+      break;
+    case "selector":
+      await page.waitForSelector(step.selector, {
+        visible: step.visible ?? true,
+        timeout,
+      });
+      break;
+    case "function":
+      await page.waitForFunction(step.expression, {
+        polling: step.polling ?? "raf",
+        timeout,
+      });
+      break;
+    case "selectorGone":
+      await page.waitForSelector(step.selector, {
+        hidden: true,
+        timeout,
+      });
+      break;
+    case "domStable": {
+      const stable = await page.evaluate(
+        waitForDomStable,
+        step.quiet ?? 1000,
+        timeout,
+      );
+      if (!stable) {
+        throw new Error(
+          `Waiting for DOM to be stable for ${step.quiet ?? 1000}ms timeout ${timeout}ms exceeded`,
+        );
+      }
+      break;
+    }
+    case "delay":
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(step.ms ?? 1000, timeout)),
+      );
+      break;
+    case "extension":
+      await waitForExtension(page, timeout);
+      break;
+  }
+}
+
+// True when `wait` has an extension step, i.e. the request cares about
+// the bypass extension's status.
+function waitsForExtension(wait) {
+  if (!wait || typeof wait !== "object") return false;
+  const { steps } = normalizeWait(wait);
+  return (
+    Array.isArray(steps) &&
+    steps.some((step) => step && step.type === "extension")
+  );
+}
+
+// Runs the wait steps and returns one `{ type, ms, ok, ... }` record per
+// step for the debug output.
+async function runWait(page, wait, logDebug = () => {}) {
+  const { steps, deadline } = normalizeWait(wait);
+  const stepTimeout = envInt("WAIT_STEP_TIMEOUT", 15000);
+  const deadlineAt =
+    Date.now() + (deadline ?? envInt("WAIT_DEADLINE", 30000));
+  const results = [];
+
+  for (const step of steps) {
+    const remaining = deadlineAt - Date.now();
+    if (remaining <= 0) {
+      logDebug(`[WAIT] Deadline reached, skipping ${step.type}.`);
+      results.push({ type: step.type, ok: false, skipped: "deadline" });
+      continue;
+    }
+    const timeout = Math.min(step.timeout ?? stepTimeout, remaining);
+    const started = Date.now();
+    logDebug(`[WAIT] ${step.type} (timeout ${timeout}ms)...`);
+    try {
+      await runStep(page, step, timeout);
+      results.push({
+        type: step.type,
+        ok: true,
+        ms: Date.now() - started,
+      });
+    } catch (error) {
+      const ms = Date.now() - started;
+      const hitDeadline = Date.now() >= deadlineAt;
+      results.push({
+        type: step.type,
+        ok: false,
+        ms,
+        error: error.message,
+      });
+      if (hitDeadline) {
+        logDebug(`[WAIT] ${step.type} cut off by the wait deadline.`);
+      } else if (step.optional) {
+        logDebug(
+          `[WAIT] ${step.type} failed (optional): ${error.message}`,
+        );
+      } else {
+        throw error;
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  validateWait,
+  waitsForExtension,
+  runWait,
+};
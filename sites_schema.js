@@ -0,0 +1,186 @@
+// schema of the site rules in sites.js (defaultSites, RegExp objects), sites_updated.json (regex strings)
+// & custom sites (options_custom.js: group as comma-separated string, cs_code as JSON string)
+// validateSiteRules(sites) returns the errors as 'title: field ...' (empty array when valid)
+var siteRuleSchema = {
+  domain: {type: 'string', required: true},
+  group: {type: 'domains'},
+  group_rule: {type: 'site_title'},
+  group_rule_domains: {type: 'strings'},
+  allow_cookies: {type: 'flag'},
+  remove_cookies: {type: 'flag'},
+  remove_cookies_select_drop: {type: 'strings'},
+  remove_cookies_select_hold: {type: 'strings'},
+  cs_clear_lclstrg: {type: 'flag'},
+  block_regex: {type: 'regex'},
+  block_regex_general: {type: 'regex'},
+  block_regex_ignore_default: {type: 'flag'},
+  block_js_inline: {type: 'regex'},
+  block_js: {type: 'flag'},
+  block_js_ext: {type: 'flag'},
+  block_host_perm_add: {type: 'domains'},
+  excluded_domains: {type: 'strings'},
+  useragent: {type: 'enum', values: ['googlebot', 'bingbot', 'facebookbot']},
+  useragent_custom: {type: 'string'},
+  googlebot: {type: 'flag'}, // old custom sites
+  headers_custom: {type: 'object'},
+  referer: {type: 'enum', values: ['facebook', 'google', 'twitter']},
+  referer_custom: {type: 'string'},
+  random_ip: {type: 'enum', values: ['all', 'eu']},
+  amp_unhide: {type: 'flag'},
+  amp_redirect: {type: 'selectors', parts: 1}, // paywall|amp_url
+  cs_all_frames: {type: 'flag'},
+  cs_block: {type: 'flag'},
+  cs_dompurify: {type: 'flag'},
+  cs_code: {type: 'cs_code'},
+  cs_param: {type: 'object'},
+  ld_json: {type: 'selectors', parts: 2}, // paywall|article|append|hold
+  ld_json_next: {type: 'selectors', parts: 2}, // paywall|article|append|hold
+  ld_json_source: {type: 'selectors', parts: 4}, // paywall|article|filter|json_key|append|hold
+  ld_json_url: {type: 'selectors', parts: 2}, // paywall|article|append|hold|article_id|key|url_rest
+  ld_archive_is: {type: 'selectors', parts: 2}, // paywall|article|article_src|article_link
+  ld_och_to_unlock: {type: 'string'},
+  add_ext_link: {type: 'selectors', parts: 2}, // paywall|article
+  add_ext_link_type: {type: 'enum', values: ['archive.is', 'google_search_tool']},
+  exception: {type: 'exception'},
+  nofix: {type: 'flag'},
+  upd_version: {type: 'version'},
+  upd_version_min: {type: 'version'}
+};
+
+// cs_code steps (cs_code_elems in contentScript.js)
+var siteRuleCsCodeKeys = ['add_style', 'hide_elem', 'rm_elem_wait', 'cond', 'rm_elem', 'rm_class', 'rm_attrib', 'set_attrib', 'elems'];
+
+function validateCsCode(steps, path) {
+  let errors = [];
+  if (!Array.isArray(steps))
+    return [(path ? path + ' ' : '') + 'must be an array of steps'];
+  steps.forEach(function (step, index) {
+    let step_path = path + '[' + index + ']';
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(step_path + ' must be an object');
+      return;
+    }
+    let unknown = Object.keys(step).filter(x => !siteRuleCsCodeKeys.includes(x));
+    if (unknown.length)
+      errors.push(step_path + ' has unknown keys: ' + unknown.join(', '));
+    if (!(step.add_style || step.hide_elem || step.rm_elem_wait || step.cond))
+      errors.push(step_path + ' needs one of add_style, hide_elem, rm_elem_wait or cond');
+    if (step.set_attrib && !String(step.set_attrib).includes('|'))
+      errors.push(step_path + '.set_attrib must be attribute|value');
+    if (step.elems)
+      errors = errors.concat(validateCsCode(step.elems, step_path + '.elems'));
+  });
+  return errors;
+}
+
+function validateSiteField(key, value, rule, sites) {
+  let field = siteRuleSchema[key];
+  let isString = (typeof value === 'string');
+  switch (field.type) {
+  case 'string':
+    return (isString && value) ? '' : 'must be a non-empty string';
+  case 'flag':
+    return [0, 1].includes(value) ? '' : 'must be 0 or 1';
+  case 'strings':
+    return (Array.isArray(value) && value.every(x => typeof x === 'string' && x)) ? '' : 'must be an array of strings';
+  case 'domains':
+    let domains = isString ? value.split(',').map(x => x.trim()).filter(x => x) : value;
+    if (!Array.isArray(domains) || !domains.every(x => typeof x === 'string'))
+      return 'must be an array (or comma-separated list) of domains';
+    let invalid = domains.filter(x => !x.match(/^(###_)?[\w-]+(\.[\w-]+)*$/));
+    return invalid.length ? 'has invalid domains: ' + invalid.join(', ') : '';
+  case 'enum':
+    return field.values.includes(value) ? '' : 'must be one of: ' + field.values.join(', ');
+  case 'object':
+    return (value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(x => typeof x === 'string')) ? '' : 'must be an object with string values';
+  case 'regex':
+    if (value instanceof RegExp)
+      return '';
+    if (!isString || !value)
+      return 'must be a RegExp or a regex string';
+    try {
+      new RegExp(value.replace(/{domain}/g, 'example\\.com'));
+    } catch (err) {
+      return 'is not a valid regex: ' + err.message;
+    }
+    return '';
+  case 'selectors':
+    if (!isString)
+      return 'must be a string';
+    let parts = value.split('|');
+    if (parts.length < field.parts || parts.slice(0, field.parts).some(x => !x.trim()))
+      return 'needs at least ' + field.parts + ' non-empty parts separated by |';
+    return '';
+  case 'cs_code':
+    if (rule.domain === '###') // ###_remove_sites: list of domains
+      return isString ? '' : 'must be a string';
+    let steps = value;
+    if (isString) {
+      try {
+        steps = JSON.parse(value);
+      } catch (err) {
+        return 'is not valid JSON: ' + err.message;
+      }
+    }
+    return validateCsCode(steps, '').join('; ');
+  case 'exception':
+    if (!Array.isArray(value))
+      return 'must be an array of rules';
+    let exception_errors = [];
+    value.forEach(function (exception, index) {
+      if (!exception || typeof exception !== 'object') {
+        exception_errors.push('[' + index + '] must be an object');
+        return;
+      }
+      if (Array.isArray(exception.domain) && exception.domain.length) // shared by domains
+        exception = Object.assign({}, exception, {domain: exception.domain[0]});
+      for (let error of validateSiteRule(exception, sites)) {
+        if (!error.match(/^(exception|group)\b/))
+          exception_errors.push('[' + index + '].' + error);
+      }
+      if (exception.exception || exception.group)
+        exception_errors.push('[' + index + '] cannot have exception or group');
+    });
+    return exception_errors.join('; ');
+  case 'version':
+    return (isString && value.match(/^\d+(\.\d+)*$/)) ? '' : 'must be a version (like 4.2.1.0)';
+  case 'site_title':
+    return (isString && sites[value]) ? '' : 'must be the title of a site';
+  }
+  return '';
+}
+
+// errors of one rule, as 'field ...'
+function validateSiteRule(rule, sites = {}) {
+  let errors = [];
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule))
+    return ['must be an object'];
+  for (let key in siteRuleSchema) {
+    if (siteRuleSchema[key].required && !rule.hasOwnProperty(key))
+      errors.push(key + ' is required');
+  }
+  for (let key in rule) {
+    if (!siteRuleSchema.hasOwnProperty(key)) {
+      errors.push(key + ' is not a known field');
+      continue;
+    }
+    let error = validateSiteField(key, rule[key], rule, sites);
+    if (error)
+      errors.push(key + (error.startsWith('[') || error.startsWith('.') ? '' : ' ') + error);
+  }
+  if (rule.add_ext_link && !rule.add_ext_link_type)
+    errors.push('add_ext_link needs add_ext_link_type');
+  return errors;
+}
+
+// errors of all rules, as 'title: field ...'
+function validateSiteRules(sites) {
+  let errors = [];
+  if (!sites || typeof sites !== 'object' || Array.isArray(sites))
+    return ['sites must be an object of {title: rule}'];
+  for (let title in sites) {
+    for (let error of validateSiteRule(sites[title], sites))
+      errors.push(title + ': ' + error);
+  }
+  return errors;
+}
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateActions, runActions } = require("../server/actions");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("action lists are validated", () => {
+  assert.strictEqual(validateActions(undefined), null);
+  assert.strictEqual(
+    validateActions([{ type: "click", selector: ".more", repeat: 3 }]),
+    null,
+  );
+  assert.match(validateActions({}), /must be an array/);
+  assert.match(validateActions([{ type: "fly" }]), /unknown action type/);
+  assert.match(validateActions([{ type: "click" }]), /requires a selector/);
+  assert.match(
+    validateActions([{ type: "wait", timeout: 0 }]),
+    /timeout must be a positive/,
+  );
+  assert.match(
+    validateActions([{ type: "wait", ms: "5000" }]),
+    /ms must be a positive/,
+  );
+  assert.match(validateActions([{ type: "wait", ms: -1 }]), /ms must be/);
+  assert.match(
+    validateActions([{ type: "wait", timeout: Infinity }]),
+    /timeout must be/,
+  );
+});
+
+test("a fixed wait lasts at most its timeout", async () => {
+  const started = Date.now();
+  const results = await runActions({}, null, [
+    { type: "wait", ms: 1e9, timeout: 50 },
+  ]);
+  assert.strictEqual(results[0].ok, true);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("evaluate always reports its result as JSON", async () => {
+  const page = { evaluate: async (script) => eval(script) };
+  const results = await runActions(page, null, [
+    { type: "evaluate", script: "1 + 1" },
+    { type: "evaluate", script: "'x'.repeat(2000)" },
+    { type: "evaluate", script: "undefined" },
+  ]);
+  assert.deepStrictEqual(
+    results.map((r) => [r.value && r.value.length, r.truncated]),
+    [
+      [1, false],
+      [1000, true],
+      [null, false],
+    ],
+  );
+  assert.strictEqual(results[0].value, "2");
+});
+
+test("repeated clicks stop when the element runs out", async () => {
+  let clicks = 0;
+  const element = {
+    click: async () => clicks++,
+    dispose: async () => {},
+  };
+  const page = {
+    waitForSelector: async () => element,
+    $: async () => (clicks < 2 ? element : null),
+  };
+  const results = await runActions(page, null, [
+    { type: "click", selector: ".more", repeat: 5, delay: 0 },
+  ]);
+  assert.strictEqual(clicks, 2);
+  assert.deepStrictEqual(
+    results.map((r) => [r.type, r.ok, r.clicks]),
+    [["click", true, 2]],
+  );
+});
+
+test("a timed-out step does not act after it was given up", async () => {
+  let clicks = 0;
+  const page = {
+    // resolves after runActions() has abandoned the step
+    waitForSelector: async () => {
+      await sleep(1100);
+      return { click: async () => clicks++, dispose: async () => {} };
+    },
+  };
+  const results = await runActions(page, null, [
+    { type: "click", selector: ".late", timeout: 10, optional: true },
+  ]);
+  assert.strictEqual(results[0].ok, false);
+  assert.match(results[0].error, /timeout 1010ms exceeded/);
+  await sleep(200);
+  assert.strictEqual(clicks, 0);
+});
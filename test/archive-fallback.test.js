@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  validateArchiveFallback,
+  fetchArchived,
+} = require("../server/archive-fallback");
+
+function withEnv(t, values) {
+  const saved = {};
+  for (const [name, value] of Object.entries(values)) {
+    saved[name] = process.env[name];
+    process.env[name] = value;
+  }
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+}
+
+test("fallback options are validated", () => {
+  assert.strictEqual(validateArchiveFallback({}), null);
+  assert.ok(validateArchiveFallback({ archiveFallback: "yes" }));
+  assert.ok(validateArchiveFallback({ archiveSelector: 1 }));
+});
+
+test("local endpoints read the snapshot of the stripped url", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(dir, `${encodeURIComponent("https://example.com/a")}.html`),
+    "<p>archived</p>",
+  );
+  withEnv(t, { ARCHIVE_ENDPOINTS: `local:${dir}` });
+  const archived = await fetchArchived({ url: "https://example.com/a?x=1#y" });
+  assert.strictEqual(archived.html, "<p>archived</p>");
+  assert.strictEqual(archived.source, "archive:local");
+  await assert.rejects(fetchArchived({ url: "https://example.com/b" }), {
+    code: "CONTENT_NOT_FOUND",
+  });
+});
+
+test("listings are followed through the given fetchPage", async (t) => {
+  withEnv(t, { ARCHIVE_ENDPOINTS: "https://archive.test/{url}" });
+  const fetched = [];
+  const fetchPage = async (url, userAgent) => {
+    fetched.push([url, userAgent]);
+    if (url === "https://archive.test/https://example.com/a") {
+      return {
+        finalUrl: url,
+        html: '<div class="TEXT-BLOCK"><a href="https://archive.test/abc">x</a></div>',
+      };
+    }
+    return {
+      finalUrl: url,
+      html: '<img src="https://archive.test/o/xyz/https://example.com/i.png">',
+    };
+  };
+  const archived = await fetchArchived(
+    { url: "https://example.com/a", userAgent: "UA" },
+    () => {},
+    fetchPage,
+  );
+  assert.deepStrictEqual(fetched, [
+    ["https://archive.test/https://example.com/a", "UA"],
+    ["https://archive.test/abc", "UA"],
+  ]);
+  assert.strictEqual(archived.snapshotUrl, "https://archive.test/abc");
+  assert.strictEqual(archived.html, '<img src="https://example.com/i.png">');
+  assert.strictEqual(archived.source, "archive:archive.test");
+});
+
+test("the whole lookup stops at ARCHIVE_DEADLINE", async (t) => {
+  withEnv(t, {
+    ARCHIVE_ENDPOINTS: ["a", "b", "c"]
+      .map((host) => `https://${host}.test/{url}`)
+      .join(","),
+    ARCHIVE_TIMEOUT: "1000",
+    ARCHIVE_DEADLINE: "50",
+  });
+  const timeouts = [];
+  const fetchPage = async (url, userAgent, timeout) => {
+    timeouts.push(timeout);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    return null;
+  };
+  await assert.rejects(
+    fetchArchived({ url: "https://example.com/a" }, () => {}, fetchPage),
+    (error) => {
+      assert.strictEqual(error.code, "TIMEOUT");
+      assert.match(error.message, /deadline of 50 ms/);
+      return true;
+    },
+  );
+  assert.strictEqual(timeouts.length, 1);
+  assert.ok(timeouts[0] <= 50);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("node:events");
+const { startWarcRecorder, archivePage } = require("../server/archive");
+
+function fakeExchange(url, body, requestHeaders = {}, responseHeaders = {}) {
+  const response = {
+    status: () => 200,
+    statusText: () => "OK",
+    headers: () => ({ "content-type": "text/html", ...responseHeaders }),
+    remoteAddress: () => ({ ip: "192.0.2.1", port: 443 }),
+    buffer: async () => Buffer.from(body),
+  };
+  return {
+    url: () => url,
+    method: () => "GET",
+    headers: () => requestHeaders,
+    postData: () => undefined,
+    response: () => response,
+  };
+}
+
+async function recordWarc(t, maxBytes, exchanges) {
+  const saved = process.env.ARCHIVE_MAX_BYTES;
+  t.after(() => {
+    if (saved === undefined) delete process.env.ARCHIVE_MAX_BYTES;
+    else process.env.ARCHIVE_MAX_BYTES = saved;
+  });
+  process.env.ARCHIVE_MAX_BYTES = String(maxBytes);
+  const page = new EventEmitter();
+  page.url = () => "https://example.com/";
+  page.content = async () => "<html></html>";
+  const recorder = startWarcRecorder(page);
+  for (const exchange of exchanges) page.emit("requestfinished", exchange);
+  const result = await archivePage(page, { format: "warc" }, recorder);
+  assert.strictEqual(result.contentType, "application/warc");
+  return Buffer.from(result.data, "base64").toString();
+}
+
+test("bodies past ARCHIVE_MAX_BYTES are truncated and marked", async (t) => {
+  const warc = await recordWarc(t, 8, [
+    fakeExchange("https://example.com/", "main-body"),
+    fakeExchange("https://example.com/next", "next-body"),
+  ]);
+  assert.match(warc, /WARC-Truncated: length/);
+  assert.match(warc, /content-length: 8\r\n\r\nmain-bod\r\n/);
+  assert.match(warc, /content-length: 0\r\n\r\n\r\n/);
+  assert.doesNotMatch(warc, /main-body|next-body/);
+});
+
+test("truncated bodies do not keep the response buffer alive", async (t) => {
+  const saved = process.env.ARCHIVE_MAX_BYTES;
+  t.after(() => {
+    if (saved === undefined) delete process.env.ARCHIVE_MAX_BYTES;
+    else process.env.ARCHIVE_MAX_BYTES = saved;
+  });
+  process.env.ARCHIVE_MAX_BYTES = "8";
+  const page = new EventEmitter();
+  const recorder = startWarcRecorder(page);
+  const full = Buffer.alloc(4096, "x");
+  const first = fakeExchange("https://example.com/", "");
+  first.response().buffer = async () => full;
+  page.emit("requestfinished", first);
+  await new Promise((resolve) => setImmediate(resolve));
+  let read = false;
+  const late = fakeExchange("https://example.com/late", "late-body");
+  late.response().buffer = async () => {
+    read = true;
+    return Buffer.from("late-body");
+  };
+  page.emit("requestfinished", late);
+  const [main, skipped] = await recorder.stop();
+  assert.strictEqual(main.body.length, 8);
+  assert.notStrictEqual(main.body.buffer, full.buffer);
+  assert.strictEqual(skipped.truncated, true);
+  assert.strictEqual(read, false);
+});
+
+test("session credentials are redacted from the records", async (t) => {
+  const warc = await recordWarc(t, 1024, [
+    fakeExchange(
+      "https://example.com/",
+      "<html></html>",
+      {
+        cookie: "session=secret-1",
+        "Proxy-Authorization": "Basic c2VjcmV0LTI=",
+        authorization: "Bearer secret-3",
+        accept: "text/html",
+      },
+      { "set-cookie": "a=secret-4\nb=secret-5" },
+    ),
+  ]);
+  assert.doesNotMatch(warc, /secret|c2VjcmV0LTI=/);
+  assert.match(warc, /cookie: \[redacted\]/);
+  assert.match(warc, /Proxy-Authorization: \[redacted\]/);
+  assert.match(warc, /accept: text\/html/);
+});
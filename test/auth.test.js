@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  ApiKeyStore,
+  authenticate,
+  enforceQuota,
+  enforceProxy,
+  isDomainAllowed,
+} = require("../server/auth");
+const { ProxyPool, parseProxy } = require("../server/proxies");
+
+function keyRecord(options = {}) {
+  const store = new ApiKeyStore();
+  store.add("k-1", {
+    rateLimit: { requests: 5, per: 60000 },
+    maxConcurrent: 2,
+    ...options,
+  });
+  return store;
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function fakeReq(path, headers = {}, query = {}) {
+  return { path, query, get: (name) => headers[name.toLowerCase()] };
+}
+
+test("a batch larger than the rate limit gets a 413, not a 429", () => {
+  const record = keyRecord().lookup("k-1");
+  const res = fakeRes();
+  assert.strictEqual(enforceQuota({ apiKey: record }, res, 6), null);
+  assert.strictEqual(res.statusCode, 413);
+  assert.strictEqual(res.headers["Retry-After"], undefined);
+  assert.match(res.body.error, /6 items exceeds the rate limit of 5/);
+  // the bucket was not touched
+  assert.strictEqual(record.tokens, 5);
+});
+
+test("the token bucket answers 429 with Retry-After once empty", () => {
+  const record = keyRecord({ maxConcurrent: 0 }).lookup("k-1");
+  const release = enforceQuota({ apiKey: record }, fakeRes(), 5);
+  assert.strictEqual(typeof release, "function");
+  const res = fakeRes();
+  assert.strictEqual(enforceQuota({ apiKey: record }, res, 1), null);
+  assert.strictEqual(res.statusCode, 429);
+  assert.ok(Number(res.headers["Retry-After"]) > 0);
+});
+
+test("concurrency slots are released once", () => {
+  const record = keyRecord({ maxConcurrent: 1 }).lookup("k-1");
+  const release = enforceQuota({ apiKey: record }, fakeRes());
+  const res = fakeRes();
+  assert.strictEqual(enforceQuota({ apiKey: record }, res), null);
+  assert.strictEqual(res.statusCode, 429);
+  release();
+  release();
+  assert.strictEqual(record.active, 0);
+});
+
+test("a request refused for concurrency keeps its rate limit tokens", () => {
+  const record = keyRecord({ maxConcurrent: 1 }).lookup("k-1");
+  enforceQuota({ apiKey: record }, fakeRes());
+  const tokens = record.tokens;
+  const res = fakeRes();
+  assert.strictEqual(enforceQuota({ apiKey: record }, res), null);
+  assert.strictEqual(res.body.error, "Too many concurrent requests");
+  assert.strictEqual(record.tokens, tokens);
+});
+
+test("a request refused for the rate limit gives its slot back", () => {
+  const record = keyRecord({ maxConcurrent: 1 }).lookup("k-1");
+  record.tokens = 0;
+  const res = fakeRes();
+  assert.strictEqual(enforceQuota({ apiKey: record }, res), null);
+  assert.strictEqual(res.body.error, "Rate limit exceeded");
+  assert.strictEqual(record.active, 0);
+});
+
+test("exempt requests skip authentication; others need a key", () => {
+  const store = keyRecord();
+  const middleware = authenticate(
+    store,
+    (req) => req.path === "/health" && !req.query.deep,
+  );
+  const run = (req) => {
+    const res = fakeRes();
+    let passed = false;
+    middleware(req, res, () => (passed = true));
+    return passed ? "next" : res.statusCode;
+  };
+  assert.strictEqual(run(fakeReq("/health")), "next");
+  assert.strictEqual(run(fakeReq("/health", {}, { deep: "1" })), 401);
+  assert.strictEqual(run(fakeReq("/ready")), 401);
+  assert.strictEqual(
+    run(fakeReq("/ready", { authorization: "Bearer k-1" })),
+    "next",
+  );
+  assert.strictEqual(run(fakeReq("/ready", { "x-api-key": "nope" })), 401);
+});
+
+test("allowedDomains restricts the scrape urls", () => {
+  const record = keyRecord({ allowedDomains: ["example.com"] }).lookup("k-1");
+  assert.ok(isDomainAllowed(record, "https://www.example.com/a"));
+  assert.ok(!isDomainAllowed(record, "https://other.test/"));
+  assert.ok(isDomainAllowed(null, "https://other.test/"));
+});
+
+test("only pool proxies are allowed without customProxies", (t) => {
+  const proxies = new ProxyPool();
+  proxies.proxies = [parseProxy("http://pool.example:8080")];
+  const store = keyRecord();
+  store.add("k-2", {
+    rateLimit: { requests: 5, per: 60000 },
+    customProxies: true,
+  });
+  const check = (apiKey, proxy) => {
+    const res = fakeRes();
+    return enforceProxy({ apiKey }, res, proxies, proxy) || res.statusCode;
+  };
+  const plain = store.lookup("k-1");
+  assert.strictEqual(check(plain, undefined), true);
+  assert.strictEqual(check(plain, false), true);
+  assert.strictEqual(check(plain, "http://u:p@pool.example:8080"), true);
+  assert.strictEqual(check(plain, "http://169.254.169.254:80"), 403);
+  assert.strictEqual(check(plain, { url: "internal.local:3128" }), 403);
+  assert.strictEqual(check(store.lookup("k-2"), "http://internal.local:3128"), true);
+
+  // without auth, custom proxies need ALLOW_CUSTOM_PROXIES
+  const saved = process.env.ALLOW_CUSTOM_PROXIES;
+  t.after(() => {
+    if (saved === undefined) delete process.env.ALLOW_CUSTOM_PROXIES;
+    else process.env.ALLOW_CUSTOM_PROXIES = saved;
+  });
+  delete process.env.ALLOW_CUSTOM_PROXIES;
+  assert.strictEqual(check(undefined, "http://internal.local:3128"), 403);
+  process.env.ALLOW_CUSTOM_PROXIES = "1";
+  assert.strictEqual(check(undefined, "http://internal.local:3128"), true);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  mapWithConcurrency,
+  parseBatchRequest,
+  batchConcurrency,
+  prepareBatchItems,
+  runBatch,
+} = require("../server/batch");
+const { ProfileRegistry } = require("../server/profiles");
+
+test("top-level fields are defaults for every item", () => {
+  const { items } = parseBatchRequest({
+    selector: "article",
+    items: ["https://a.example/", { url: "https://b.example/", selector: "h1" }],
+  });
+  assert.deepStrictEqual(
+    items.map((i) => i.selector),
+    ["article", "h1"],
+  );
+  assert.ok(parseBatchRequest({ items: [] }).error);
+});
+
+test("batch concurrency is capped", () => {
+  assert.strictEqual(batchConcurrency(100), 4);
+  assert.strictEqual(batchConcurrency("2"), 2);
+  assert.strictEqual(batchConcurrency("x"), 4);
+});
+
+test("mapWithConcurrency keeps at most `limit` calls in flight", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const seen = [];
+  await mapWithConcurrency(
+    [1, 2, 3, 4, 5],
+    2,
+    async (n) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      return n * 2;
+    },
+    (result, index) => seen.push([index, result]),
+  );
+  assert.strictEqual(peak, 2);
+  assert.strictEqual(seen.length, 5);
+});
+
+test("bad items are found before the batch runs and never throw", () => {
+  const prepared = prepareBatchItems(new ProfileRegistry("/nonexistent"), [
+    { url: 123, selector: "h1" },
+    { selector: "h1" },
+    { url: "https://a.example/", selector: "h1" },
+  ]);
+  assert.deepStrictEqual(
+    prepared.map((p) => p.error),
+    ["url must be a string", "Missing required fields: url and selector", null],
+  );
+});
+
+test("invalid and disallowed items are reported per item", async () => {
+  const prepared = prepareBatchItems(null, [
+    { url: 123, selector: "h1" },
+    { url: "https://blocked.example/", selector: "h1" },
+  ]);
+  const results = [];
+  await runBatch(
+    {},
+    prepared,
+    { concurrency: 2, isAllowed: () => false },
+    (result) => results.push(result),
+  );
+  results.sort((a, b) => a.index - b.index);
+  assert.deepStrictEqual(
+    results.map((r) => r.statusCode),
+    [400, 403],
+  );
+});
+
+test("items with a disallowed proxy are reported as 403", async () => {
+  const prepared = prepareBatchItems(null, [
+    { url: "https://a.example/", selector: "h1", proxy: "http://internal:3128" },
+  ]);
+  const results = [];
+  await runBatch(
+    {},
+    prepared,
+    {
+      concurrency: 1,
+      isProxyAllowed: (proxy) => proxy !== "http://internal:3128",
+    },
+    (result) => results.push(result),
+  );
+  assert.strictEqual(results[0].statusCode, 403);
+  assert.match(results[0].error.error, /Proxy not in the pool/);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const { BrowserPool } = require("../server/browser-pool");
+
+test("a launch that fails before Chromium starts gives its slot back", async (t) => {
+  const pool = new BrowserPool({ size: 1, warmOnStart: false });
+  t.mock.method(fs, "mkdtempSync", () => {
+    throw new Error("ENOSPC");
+  });
+  await assert.rejects(pool.launchEntry(), /ENOSPC/);
+  assert.strictEqual(pool.stats().launching, 0);
+});
+
+test("a launch that cannot start Chromium removes its user data dir", async (t) => {
+  const original = fs.mkdtempSync;
+  let created;
+  t.mock.method(fs, "mkdtempSync", (prefix) => (created = original(prefix)));
+  const executablePath = process.env.EXECUTABLE_PATH;
+  process.env.EXECUTABLE_PATH = "/nonexistent/chromium";
+  t.after(() => {
+    if (executablePath === undefined) delete process.env.EXECUTABLE_PATH;
+    else process.env.EXECUTABLE_PATH = executablePath;
+  });
+
+  const pool = new BrowserPool({ size: 1, warmOnStart: false });
+  await assert.rejects(pool.launchEntry());
+  assert.strictEqual(pool.stats().launching, 0);
+  assert.ok(created);
+  assert.strictEqual(fs.existsSync(created), false);
+});
+
+// A page whose CDP session records the origins cleared through it.
+function fakePage(cleared, { failClear = false } = {}) {
+  const page = new EventEmitter();
+  page.createCDPSession = async () => ({
+    send: async (method, params) => {
+      if (failClear) throw new Error("target closed");
+      cleared.push([method, params.origin, params.storageTypes]);
+    },
+    detach: async () => {},
+  });
+  page.close = async () => {};
+  return page;
+}
+
+// A pool holding one warm browser, without launching Chromium.
+function poolWith(newPage) {
+  const pool = new BrowserPool({
+    size: 1,
+    warmOnStart: false,
+    healthInterval: 0,
+    acquireTimeout: 100,
+  });
+  const browser = { connected: true, newPage, close: async () => {} };
+  const entry = {
+    id: 1,
+    key: "direct",
+    proxy: null,
+    browser,
+    userDataDir: "/nonexistent/puppeteer-user-data-test",
+    activePages: 0,
+    served: 0,
+    retiring: false,
+  };
+  pool.entries.push(entry);
+  return { pool, entry };
+}
+
+const request = (url) => ({ url: () => url });
+
+test("releasing a lease clears the site data it left", async () => {
+  const cleared = [];
+  const { pool } = poolWith(async () => fakePage(cleared));
+  const lease = await pool.acquire();
+  lease.page.emit("request", request("https://example.com/a"));
+  lease.page.emit("request", request("https://example.com/b.js"));
+  lease.page.emit("request", request("https://cdn.example.net/c.css"));
+  lease.page.emit("request", request("data:image/png;base64,AAAA"));
+  await lease.release();
+  assert.deepStrictEqual(cleared.sort(), [
+    ["Storage.clearDataForOrigin", "https://cdn.example.net", "all"],
+    ["Storage.clearDataForOrigin", "https://example.com", "all"],
+  ]);
+});
+
+test("a browser that cannot clear the data is recycled", async () => {
+  const { pool, entry } = poolWith(async () =>
+    fakePage([], { failClear: true }),
+  );
+  const lease = await pool.acquire();
+  lease.page.emit("request", request("https://example.com/"));
+  await lease.release();
+  assert.strictEqual(entry.retiring, true);
+  assert.deepStrictEqual(pool.entries, []);
+});
+
+test("a browser failing to open a page is closed before acquire rejects", async () => {
+  const { pool } = poolWith(async () => {
+    throw new Error("browser crashed");
+  });
+  await assert.rejects(pool.acquire(), /browser crashed/);
+  assert.deepStrictEqual(pool.entries, []);
+});
@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { ResponseCache, cacheKey, normalizeUrl } = require("../server/cache");
+
+const spec = {
+  url: "https://example.com/a?b=2&utm_source=x&a=1#top",
+  selector: "article",
+  userAgent: "UA",
+  viewport: { width: 1280, height: 720 },
+};
+
+function result(text) {
+  return {
+    contentType: "text/plain",
+    data: text,
+    validators: { etag: '"v1"', lastModified: null },
+    attempts: [{ attempt: 1, ok: true }],
+  };
+}
+
+test("urls are normalized without tracking parameters or fragment", () => {
+  assert.strictEqual(
+    normalizeUrl(spec.url),
+    "https://example.com/a?a=1&b=2",
+  );
+  assert.strictEqual(
+    cacheKey(spec),
+    cacheKey({ ...spec, url: "https://example.com/a?a=1&b=2" }),
+  );
+});
+
+test("the key covers what changes the rendered page", () => {
+  const key = cacheKey(spec);
+  for (const override of [
+    { viewport: { width: 412, height: 915 } },
+    { userAgent: "Googlebot" },
+    { actions: [{ type: "click", selector: ".more" }] },
+    { wait: { selector: ".body" } },
+    { proxy: "http://proxy.example:8080" },
+    { detection: false },
+    { paywallSelectors: [".gate"] },
+  ]) {
+    assert.notStrictEqual(cacheKey({ ...spec, ...override }), key, override);
+  }
+  // credentials are not part of the key
+  assert.strictEqual(
+    cacheKey({ ...spec, proxy: "http://a:b@proxy.example:8080" }),
+    cacheKey({ ...spec, proxy: "http://c:d@proxy.example:8080" }),
+  );
+});
+
+test("stale entries are revalidated through revalidatePage", async () => {
+  const calls = [];
+  const cache = new ResponseCache({
+    store: "memory",
+    ttl: 0,
+    revalidate: true,
+    revalidatePage: async (s, validators) => {
+      calls.push({ spec: s, validators });
+      return true;
+    },
+  });
+  const first = await cache.fetch(spec, async () => result("one"));
+  assert.strictEqual(first.status, "MISS");
+  const second = await cache.fetch(spec, async () => result("two"));
+  assert.strictEqual(second.status, "REVALIDATED");
+  assert.strictEqual(second.result.data, "one");
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].spec, spec);
+  assert.deepStrictEqual(calls[0].validators, {
+    etag: '"v1"',
+    lastModified: null,
+  });
+  assert.strictEqual(second.result.attempts, undefined);
+});
+
+test("without revalidatePage stale entries are scraped again", async () => {
+  const cache = new ResponseCache({ store: "memory", ttl: 0 });
+  await cache.fetch(spec, async () => result("one"));
+  const again = await cache.fetch(spec, async () => result("two"));
+  assert.strictEqual(again.status, "MISS");
+  assert.strictEqual(again.result.data, "two");
+});
+
+test("only answers from the cache", async () => {
+  const cache = new ResponseCache({ store: "memory" });
+  await assert.rejects(
+    cache.fetch({ ...spec, cache: "only" }, async () => result("x")),
+    { code: "CACHE_MISS" },
+  );
+  await cache.fetch(spec, async () => result("one"));
+  const hit = await cache.fetch({ ...spec, cache: "only" }, async () =>
+    result("x"),
+  );
+  assert.strictEqual(hit.status, "HIT");
+});
+
+test("only never scrapes when the cache is disabled", async () => {
+  const cache = new ResponseCache({ store: "none" });
+  let scraped = false;
+  await assert.rejects(
+    cache.fetch({ ...spec, cache: "only" }, async () => {
+      scraped = true;
+      return result("x");
+    }),
+    { code: "CACHE_MISS" },
+  );
+  assert.strictEqual(scraped, false);
+});
+
+test("a failing delete of an old entry still scrapes", async () => {
+  const cache = new ResponseCache({ store: "memory" });
+  let deletes = 0;
+  cache.store = {
+    get: () => ({ expiresAt: 0, storedAt: 0, result: result("old") }),
+    set() {},
+    delete() {
+      deletes++;
+      throw new Error("disk gone");
+    },
+    sweep() {},
+  };
+  const again = await cache.fetch(spec, async () => result("two"));
+  assert.strictEqual(again.result.data, "two");
+  assert.strictEqual(deletes, 1);
+});
+
+test("the memory store is capped by bytes", () => {
+  const cache = new ResponseCache({ store: "memory" });
+  cache.store.maxBytes = 2500;
+  const entry = (size) => ({ expiresAt: Date.now(), result: "x".repeat(size) });
+  cache.store.set("a", entry(1000));
+  cache.store.set("b", entry(1000));
+  cache.store.set("c", entry(1000));
+  assert.strictEqual(cache.store.get("a"), null);
+  assert.ok(cache.store.get("b") && cache.store.get("c"));
+  assert.ok(cache.store.bytes <= 2500);
+  // an entry over the whole budget is not kept
+  cache.store.set("d", entry(5000));
+  assert.strictEqual(cache.store.get("d"), null);
+  assert.strictEqual(cache.stats().entries, 2);
+});
+
+test("entries past the stale window are swept from disk", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-test-"));
+  const saved = process.env.CACHE_DIR;
+  process.env.CACHE_DIR = dir;
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (saved === undefined) delete process.env.CACHE_DIR;
+    else process.env.CACHE_DIR = saved;
+  });
+  const cache = new ResponseCache({
+    store: "disk",
+    ttl: 0,
+    staleTtl: 60000,
+  });
+  await cache.fetch(spec, async () => result("old"));
+  assert.strictEqual(cache.stats().entries, 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  cache.staleTtl = 0;
+  cache.sweepInterval = 0;
+  const fresh = { ...spec, url: "https://example.com/b", cacheTtl: 60000 };
+  await cache.fetch(fresh, async () => result("new"));
+  // the first entry was never looked up again, the sweep dropped it
+  assert.strictEqual(cache.stats().entries, 1);
+  assert.ok(cache.store.get(cacheKey(fresh)));
+});
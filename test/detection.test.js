@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const vm = require("node:vm");
+const {
+  PAYWALL_SELECTORS,
+  detectBlocking,
+  detectInPage,
+} = require("../server/detection");
+const { classifyError } = require("../server/errors");
+const { ResponseCache } = require("../server/cache");
+
+// A fake element: `children` are the elements it contains.
+function el(text, children = []) {
+  return {
+    innerText: text,
+    children,
+    contains(other) {
+      return other === this || children.some((c) => c.contains(other));
+    },
+    getBoundingClientRect: () => ({ width: 100, height: 100 }),
+  };
+}
+
+// Runs detectInPage against `selectors`, a map of selector to elements.
+function detect(selectors, ldJson = null, options = {}) {
+  const body = el("x".repeat(5000));
+  const document = {
+    title: "An article",
+    body,
+    querySelector: (s) => (selectors[s] || [])[0] || null,
+    querySelectorAll: (s) => {
+      if (s === 'script[type="application/ld+json"]') {
+        return ldJson ? [{ text: JSON.stringify(ldJson) }] : [];
+      }
+      return s
+        .split(/,\s*/)
+        .flatMap((part) => selectors[part] || []);
+    },
+  };
+  const window = {
+    getComputedStyle: () => ({ display: "block", visibility: "visible", opacity: "1" }),
+  };
+  return vm.runInNewContext(`(${detectInPage})(options)`, {
+    window,
+    document,
+    options: {
+      paywallSelectors: PAYWALL_SELECTORS,
+      captchaMarkers: [],
+      captchaTitles: [],
+      minTextLength: 1000,
+      ...options,
+    },
+  });
+}
+
+test("truncation is measured on the article container, not the selector", () => {
+  const headline = el("Short headline");
+  const article = el("word ".repeat(400).trim(), [headline]);
+  const found = detect(
+    { article: [article], h1: [headline] },
+    { articleBody: "word ".repeat(400).trim() },
+  );
+  assert.strictEqual(found.truncated, false);
+  assert.strictEqual(found.contentLength, article.innerText.length);
+
+  const teaser = el("word ".repeat(50).trim());
+  const cut = detect(
+    { article: [teaser] },
+    { articleBody: "word ".repeat(400).trim() },
+  );
+  assert.strictEqual(cut.truncated, true);
+});
+
+test("a paywall class wrapping the article is not a gate", () => {
+  const article = el("word ".repeat(400).trim());
+  const wrapper = el(article.innerText, [article]);
+  const found = detect({
+    article: [article],
+    'div[class~="paywall" i]': [wrapper],
+  });
+  assert.strictEqual(found.paywallDetected, false);
+
+  const gate = el("Subscribe to keep reading");
+  const blocked = detect({
+    article: [article],
+    ".tp-modal": [gate],
+  });
+  assert.strictEqual(blocked.paywallDetected, true);
+  assert.deepStrictEqual(blocked.paywallMarkers, [".tp-modal"]);
+});
+
+test("generic paywall selectors match whole class names only", () => {
+  const broad = PAYWALL_SELECTORS.filter((s) => /\[class\*="paywall" i\]/.test(s));
+  assert.deepStrictEqual(broad, []);
+});
+
+test("fail mode maps a paywall to 402", async () => {
+  const page = {
+    evaluate: async () => ({
+      paywallDetected: true,
+      paywallMarkers: [".tp-modal"],
+      truncated: false,
+      bpcFailure: null,
+      captcha: null,
+    }),
+  };
+  await assert.rejects(
+    detectBlocking(page, { detection: "fail" }),
+    (error) => {
+      assert.strictEqual(error.code, "PAYWALL_DETECTED");
+      assert.strictEqual(classifyError(error), 402);
+      return true;
+    },
+  );
+});
+
+test("blocked results are not cached", async () => {
+  const cache = new ResponseCache({ store: "memory" });
+  const spec = { url: "https://example.com/a", selector: "article" };
+  const blocked = {
+    contentType: "text/plain",
+    data: "teaser",
+    detection: { paywallDetected: true, truncated: false },
+  };
+  const first = await cache.fetch(spec, async () => blocked);
+  assert.strictEqual(first.status, "MISS");
+  assert.strictEqual(cache.stats().entries, 0);
+  const again = await cache.fetch(spec, async () => ({
+    contentType: "text/plain",
+    data: "full",
+    detection: { paywallDetected: false, truncated: false },
+  }));
+  assert.strictEqual(again.status, "MISS");
+  assert.strictEqual(cache.stats().entries, 1);
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  extensionStatus,
+  waitForExtension,
+  writeAutomationSeed,
+} = require("../server/extension");
+const { validateWait, waitsForExtension } = require("../server/wait");
+
+// A browser whose bypass extension answers bpc_status with `status(url,
+// tabId)`.
+function fakeBrowser(status) {
+  const calls = [];
+  const worker = {
+    evaluate: async (fn, ...args) => {
+      if (args.length === 0) return true; // typeof bpc_status probe
+      calls.push(args);
+      return status(...args);
+    },
+  };
+  const target = {
+    type: () => "service_worker",
+    url: () => "chrome-extension://bpc/background.js",
+    worker: async () => worker,
+  };
+  return { calls, targets: () => [target] };
+}
+
+function fakePage(browser, tabId) {
+  return {
+    browser: () => browser,
+    url: () => "https://example.com/a",
+    evaluate: async () => (tabId === null ? null : String(tabId)),
+  };
+}
+
+test("bpc_status is asked for the page's own tab", async () => {
+  const browser = fakeBrowser((url, tabId) => ({ url, tabId }));
+  const status = await extensionStatus(fakePage(browser, 42));
+  assert.deepStrictEqual(status, { url: "https://example.com/a", tabId: 42 });
+  // before contentScript.js has stored it, the url alone is used
+  await extensionStatus(fakePage(browser, null));
+  assert.deepStrictEqual(browser.calls[1], ["https://example.com/a", null]);
+});
+
+test("waitForExtension polls until the page reports done", async () => {
+  let polls = 0;
+  const browser = fakeBrowser(() => ({
+    enabled: true,
+    excluded: false,
+    completion: { state: ++polls < 2 ? "running" : "done" },
+  }));
+  const status = await waitForExtension(fakePage(browser, 7), 5000);
+  assert.strictEqual(status.completion.state, "done");
+  assert.deepStrictEqual(browser.calls.map((c) => c[1]), [7, 7]);
+});
+
+test("the status is only needed with an extension wait", () => {
+  assert.strictEqual(waitsForExtension(undefined), false);
+  assert.strictEqual(waitsForExtension([{ type: "delay", ms: 10 }]), false);
+  assert.strictEqual(waitsForExtension([{ type: "extension" }]), true);
+  assert.strictEqual(
+    waitsForExtension({ steps: [{ type: "extension" }], deadline: 1000 }),
+    true,
+  );
+});
+
+test("the automation seed is opt-in and retried after a bad seed file", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "seed-test-"));
+  const saved = { ...process.env };
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.env = saved;
+  });
+  fs.writeFileSync(path.join(dir, "sites.js"), "");
+  const seedFile = path.join(dir, "automation.json");
+  const storageFile = path.join(dir, "storage.json");
+  process.env.EXTENSION_PATHS = dir;
+  delete process.env.EXTENSION_AUTOMATION;
+
+  writeAutomationSeed();
+  assert.strictEqual(fs.existsSync(seedFile), false);
+
+  process.env.EXTENSION_AUTOMATION = "1";
+  process.env.EXTENSION_STORAGE_SEED = storageFile;
+  fs.writeFileSync(storageFile, "{ not json");
+  assert.throws(() => writeAutomationSeed(), SyntaxError);
+  assert.strictEqual(fs.existsSync(seedFile), false);
+
+  fs.writeFileSync(storageFile, JSON.stringify({ optIn: false }));
+  writeAutomationSeed();
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(seedFile, "utf8")), {
+    automation: true,
+    storage: { optIn: false },
+  });
+});
+
+test("wait durations must be positive numbers of ms", () => {
+  assert.strictEqual(
+    validateWait({
+      steps: [
+        { type: "delay", ms: 500 },
+        { type: "domStable", quiet: 200, timeout: 5000 },
+        { type: "networkIdle", idleTime: 500 },
+      ],
+      deadline: 10000,
+    }),
+    null,
+  );
+  assert.strictEqual(
+    validateWait([{ type: "delay", ms: "5000" }]),
+    "wait[0]: ms must be a positive number of ms",
+  );
+  assert.strictEqual(
+    validateWait([{ type: "extension" }, { type: "domStable", quiet: -1 }]),
+    "wait[1]: quiet must be a positive number of ms",
+  );
+  assert.strictEqual(
+    validateWait([{ type: "extension", timeout: Infinity }]),
+    "wait[0]: timeout must be a positive number of ms",
+  );
+  assert.strictEqual(
+    validateWait({ steps: [], deadline: 0 }),
+    "wait.deadline must be a positive number of ms",
+  );
+});
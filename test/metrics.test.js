@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { registry, recordScrape } = require("../server/metrics");
+const { runScrape } = require("../server/scrape");
+const { ProfileRegistry } = require("../server/profiles");
+
+function requestSamples() {
+  return registry
+    .render()
+    .split("\n")
+    .filter((line) => line.startsWith("scraper_requests_total{"));
+}
+
+function sampleValue(labels) {
+  const line = requestSamples().find((l) =>
+    labels.every((label) => l.includes(label)),
+  );
+  return line ? Number(line.split(" ").pop()) : 0;
+}
+
+test("a retried scrape is counted once", async () => {
+  let calls = 0;
+  const pool = {
+    acquire: async () => {
+      calls++;
+      throw new Error("net::ERR_CONNECTION_RESET at https://a.example/");
+    },
+  };
+  const before = sampleValue(['code="NETWORK_ERROR"']);
+  await assert.rejects(
+    runScrape({ pool }, {
+      url: "https://a.example/",
+      retry: { attempts: 3, backoff: 0, ladder: ["same"] },
+      archiveFallback: false,
+    }),
+  );
+  assert.strictEqual(calls, 3);
+  assert.strictEqual(sampleValue(['code="NETWORK_ERROR"']), before + 1);
+});
+
+test("the domain label is limited to METRICS_DOMAINS", (t) => {
+  const saved = process.env.METRICS_DOMAINS;
+  t.after(() => {
+    if (saved === undefined) delete process.env.METRICS_DOMAINS;
+    else process.env.METRICS_DOMAINS = saved;
+  });
+  process.env.METRICS_DOMAINS = "example.com";
+  recordScrape({ url: "https://www.example.com/a" });
+  recordScrape({ url: "https://random-123.test/" });
+  recordScrape({ url: 42 });
+  const domains = new Set(
+    requestSamples().map((l) => l.match(/domain="([^"]*)"/)[1]),
+  );
+  assert.ok(domains.has("example.com"));
+  assert.ok(domains.has("other"));
+  assert.ok(!domains.has("random-123.test"));
+  assert.ok(!domains.has("www.example.com"));
+});
+
+test("without METRICS_DOMAINS the profile domains label the samples", (t) => {
+  const saved = process.env.METRICS_DOMAINS;
+  t.after(() => {
+    if (saved === undefined) delete process.env.METRICS_DOMAINS;
+    else process.env.METRICS_DOMAINS = saved;
+  });
+  delete process.env.METRICS_DOMAINS;
+  const profiles = new ProfileRegistry("/nonexistent");
+  profiles.add("Example", { domain: "example.org" });
+  profiles.add("Group", { domain: "###_group", group: ["group-a.test"] });
+  const before = sampleValue(['domain="example.org"']);
+  recordScrape({ url: "https://news.example.org/a" }, null, profiles);
+  recordScrape({ url: "https://group-a.test/b" }, null, profiles);
+  recordScrape({ url: "https://unprofiled-456.test/" }, null, profiles);
+  assert.strictEqual(sampleValue(['domain="example.org"']), before + 1);
+  const domains = new Set(
+    requestSamples().map((l) => l.match(/domain="([^"]*)"/)[1]),
+  );
+  assert.ok(domains.has("group-a.test"));
+  assert.ok(!domains.has("unprofiled-456.test"));
+});
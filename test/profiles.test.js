@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  ProfileRegistry,
+  resolveScrapeSpec,
+  matchDomain,
+} = require("../server/profiles");
+const { validateScrapeSpec } = require("../server/scrape");
+
+function registry() {
+  const profiles = new ProfileRegistry("/nonexistent");
+  profiles.add("Example", { domain: "example.com", selector: "article" });
+  profiles.add("Example News", {
+    domain: "news.example.com",
+    selector: "div.story",
+  });
+  profiles.add("Group", {
+    domain: "###_group",
+    group: ["a.example", "b.example"],
+    selector: "main",
+  });
+  return profiles;
+}
+
+test("matchDomain matches the domain and its subdomains only", () => {
+  assert.strictEqual(matchDomain(["example.com"], "www.example.com"), "example.com");
+  assert.strictEqual(matchDomain(["example.com"], "notexample.com"), false);
+});
+
+test("the most specific profile wins and request fields override it", () => {
+  const profiles = registry();
+  const spec = resolveScrapeSpec(profiles, {
+    url: "https://www.news.example.com/a",
+  });
+  assert.strictEqual(spec.profile, "Example News");
+  assert.strictEqual(spec.selector, "div.story");
+
+  const overridden = resolveScrapeSpec(profiles, {
+    url: "https://example.com/a",
+    selector: "h1",
+  });
+  assert.strictEqual(overridden.profile, "Example");
+  assert.strictEqual(overridden.selector, "h1");
+});
+
+test("grouped profiles match every domain of the group", () => {
+  const spec = resolveScrapeSpec(registry(), { url: "https://b.example/x" });
+  assert.strictEqual(spec.profile, "Group");
+});
+
+test("a non-string url is rejected instead of crashing the lookup", () => {
+  for (const url of [123, ["https://example.com"], { href: "x" }]) {
+    const spec = resolveScrapeSpec(registry(), { url, selector: "h1" });
+    assert.strictEqual(spec.profile, null);
+    assert.strictEqual(validateScrapeSpec(spec), "url must be a string");
+  }
+});
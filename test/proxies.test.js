@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { ProxyPool, parseProxy } = require("../server/proxies");
+
+function proxyPool(...urls) {
+  const proxies = new ProxyPool({ selection: "round-robin" });
+  proxies.proxies = urls.map((url) => ({ ...parseProxy(url), badUntil: 0 }));
+  return proxies;
+}
+
+test("peek shows the next proxy without moving the rotation", () => {
+  const proxies = proxyPool("http://p1:8080", "http://p2:8080");
+  assert.strictEqual(proxies.peek().server, "http://p1:8080");
+  assert.strictEqual(proxies.peek().server, "http://p1:8080");
+  assert.strictEqual(proxies.select().server, "http://p1:8080");
+  assert.strictEqual(proxies.select().server, "http://p2:8080");
+  assert.strictEqual(proxies.peek().server, "http://p1:8080");
+  assert.strictEqual(new ProxyPool().peek(), null);
+});
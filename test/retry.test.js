@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateRetry, runWithRetry, GOOGLEBOT_UA } = require("../server/retry");
+const { ScrapeError } = require("../server/errors");
+const { ProxyPool, parseProxy } = require("../server/proxies");
+
+function proxyPool(...urls) {
+  const proxies = new ProxyPool();
+  proxies.proxies = urls.map((url) => ({ ...parseProxy(url), badUntil: 0 }));
+  return proxies;
+}
+
+// Runs a policy whose attempts all fail, returning the proxy of each.
+async function proxiesTried(services, spec) {
+  const used = [];
+  await assert.rejects(
+    runWithRetry(services, { url: "https://example.com/", ...spec }, async (s, proxy) => {
+      used.push(proxy ? proxy.server : null);
+      throw new ScrapeError("SELECTOR_NOT_FOUND", "selector not found");
+    }),
+  );
+  return used;
+}
+
+test("retry policies are validated", () => {
+  assert.strictEqual(validateRetry(undefined), null);
+  assert.strictEqual(validateRetry(3), null);
+  assert.strictEqual(
+    validateRetry({ attempts: 3, backoff: 0, maxBackoff: 500, ladder: ["same"] }),
+    null,
+  );
+  assert.ok(validateRetry(0));
+  assert.ok(validateRetry({ attempts: 11 }));
+  assert.match(validateRetry({ attempts: 3, ladder: [] }), /non-empty/);
+  assert.match(validateRetry({ ladder: "proxy" }), /non-empty/);
+  assert.match(validateRetry({ ladder: ["teleport"] }), /Unknown retry strategies: teleport/);
+  assert.match(validateRetry({ ladder: ["constructor"] }), /Unknown/);
+  assert.match(validateRetry({ ladder: [1] }), /Unknown/);
+  assert.match(validateRetry({ backoff: -1 }), /retry.backoff/);
+  assert.match(validateRetry({ backoff: "1000" }), /retry.backoff/);
+  assert.match(validateRetry({ maxBackoff: NaN }), /retry.maxBackoff/);
+  assert.match(validateRetry({ backoff: 1e9 }), /between 0 and 30000/);
+  assert.match(validateRetry({ maxBackoff: Infinity }), /retry.maxBackoff/);
+});
+
+test("each retry applies the next ladder step", async () => {
+  const seen = [];
+  const result = await runWithRetry(
+    {},
+    {
+      url: "https://example.com/",
+      userAgent: "UA",
+      retry: { attempts: 3, backoff: 0, ladder: ["freshSession", "googlebot"] },
+    },
+    async (spec) => {
+      seen.push(spec);
+      if (seen.length < 3) {
+        throw new ScrapeError("SELECTOR_NOT_FOUND", "selector not found");
+      }
+      return { data: "ok", detection: null };
+    },
+  );
+  assert.strictEqual(seen[1].freshSession, true);
+  assert.strictEqual(seen[1].userAgent, "UA");
+  assert.strictEqual(seen[2].freshSession, true);
+  assert.strictEqual(seen[2].userAgent, GOOGLEBOT_UA);
+  assert.deepStrictEqual(
+    result.attempts.map((a) => [a.strategy, a.ok]),
+    [
+      ["initial", false],
+      ["freshSession", false],
+      ["googlebot", true],
+    ],
+  );
+});
+
+test("a blocked success is returned when every attempt is blocked", async () => {
+  const result = await runWithRetry(
+    {},
+    { url: "https://example.com/", retry: { attempts: 2, backoff: 0 } },
+    async () => ({ data: "teaser", detection: { paywallDetected: true } }),
+  );
+  assert.strictEqual(result.data, "teaser");
+  assert.deepStrictEqual(
+    result.attempts.map((a) => a.code),
+    ["PAYWALL_DETECTED", "PAYWALL_DETECTED"],
+  );
+});
+
+test("the proxy step keeps the only proxy instead of going direct", async () => {
+  const retry = { attempts: 3, backoff: 0, ladder: ["proxy"] };
+  assert.deepStrictEqual(
+    await proxiesTried({ proxies: proxyPool("http://p1:8080") }, { retry }),
+    ["http://p1:8080", "http://p1:8080", "http://p1:8080"],
+  );
+  assert.deepStrictEqual(
+    await proxiesTried(
+      { proxies: proxyPool("http://p1:8080", "http://p2:8080") },
+      { retry },
+    ),
+    ["http://p1:8080", "http://p2:8080", "http://p2:8080"],
+  );
+});
+
+test("the proxy step respects the request's own proxy", async () => {
+  const services = { proxies: proxyPool("http://p1:8080", "http://p2:8080") };
+  const retry = { attempts: 2, backoff: 0, ladder: ["proxy"] };
+  assert.deepStrictEqual(
+    await proxiesTried(services, { retry, proxy: false }),
+    [null, null],
+  );
+  assert.deepStrictEqual(
+    await proxiesTried(services, { retry, proxy: "http://p2:8080" }),
+    ["http://p2:8080", "http://p2:8080"],
+  );
+});
+
+test("the archive step asks for an archived copy of the same url", async () => {
+  const seen = [];
+  await runWithRetry(
+    {},
+    {
+      url: "https://example.com/a",
+      retry: { attempts: 2, backoff: 0, ladder: ["archive"] },
+    },
+    async (spec, proxy, fromArchive) => {
+      seen.push([spec.url, fromArchive]);
+      if (!fromArchive) {
+        throw new ScrapeError("PAYWALL_DETECTED", "paywall");
+      }
+      return { data: "archived", detection: null };
+    },
+  );
+  assert.deepStrictEqual(seen, [
+    ["https://example.com/a", false],
+    ["https://example.com/a", true],
+  ]);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+// sites.js and sites_schema.js are extension scripts sharing globals, so
+// both are loaded into one context (RegExp checks need the same realm).
+const context = vm.createContext({});
+for (const file of ["sites.js", "sites_schema.js"]) {
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+    context,
+    { filename: file },
+  );
+}
+const { defaultSites } = context;
+// the errors as an array of this realm, for deepStrictEqual
+const validateSiteRules = (sites) => Array.from(context.validateSiteRules(sites));
+
+test("the bundled default sites are valid", () => {
+  assert.deepStrictEqual(validateSiteRules(defaultSites), []);
+});
+
+test("custom sites report each invalid field", () => {
+  const errors = validateSiteRules({
+    "Example": {
+      domain: "example.com",
+      allow_cookies: 1,
+      block_regex: "\\.example\\.com/(",
+      cs_code: '[{"rm_elem": 1}]',
+      colour: "red",
+    },
+    "No domain": { allow_cookies: 1 },
+    "Bad group": { domain: "###_example", group: "example.com, not a domain" },
+  });
+  assert.strictEqual(errors.length, 5);
+  assert.match(errors[0], /^Example: block_regex is not a valid regex/);
+  assert.strictEqual(
+    errors[1],
+    "Example: cs_code[0] needs one of add_style, hide_elem, rm_elem_wait or cond",
+  );
+  assert.strictEqual(errors[2], "Example: colour is not a known field");
+  assert.strictEqual(errors[3], "No domain: domain is required");
+  assert.strictEqual(
+    errors[4],
+    "Bad group: group has invalid domains: not a domain",
+  );
+});
+
+test("updated sites use regex strings and cs_code as JSON", () => {
+  assert.deepStrictEqual(
+    validateSiteRules({
+      "Example": {
+        domain: "example.com",
+        block_regex: "\\.{domain}/.+\\.js",
+        cs_code: '[{"cond": "div.paywall", "rm_elem": 1}]',
+        upd_version: "4.2.1.0",
+      },
+    }),
+    [],
+  );
+  assert.deepStrictEqual(validateSiteRules([]), [
+    "sites must be an object of {title: rule}",
+  ]);
+});